@@ -1,13 +1,24 @@
 const express = require("express");
+const crypto = require("crypto");
 const fs = require("fs");
+const http = require("http");
 const path = require("path");
 const csv = require("csv-parser");
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // CORS để frontend gọi API
+//   - CORS_ORIGINS: danh sách origin được phép, cách nhau bằng dấu phẩy (default: * = mọi origin)
+// Origin không có trong danh sách thì không nhận header Access-Control-Allow-Origin (trình duyệt chặn)
 const cors = require("cors");
-app.use(cors());
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "*").split(",").map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+  origin: CORS_ORIGINS.includes("*") ? "*" : CORS_ORIGINS,
+  exposedHeaders: ["ETag", "Last-Modified", "X-Cache", "RateLimit-Policy", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"]
+}));
+// Preflight OPTIONS đã được cors trả lời ở trên nên không tính vào auth / rate limit
+app.use("/api", authenticate, rateLimit);
+app.use(express.json());
 
 // File CSV (ưu tiên file processed nếu có)
 const CSV_PATHS = [
@@ -15,8 +26,137 @@ const CSV_PATHS = [
   path.join(__dirname, "data.csv")
 ];
 
+// Cấu hình nguồn dữ liệu (csv, json, jsonl, coingecko). Không có cấu hình thì dùng CSV_PATHS như cũ.
+//   - DATA_SOURCES: JSON config trực tiếp trong env
+//   - DATA_SOURCES_FILE: đường dẫn file config (default: data/sources.json)
+// Ví dụ:
+//   {
+//     "sources": [
+//       { "type": "coingecko", "path": "data/markets.json" },
+//       { "type": "csv", "path": "data/crypto_market_full.csv", "columns": { "LastUpdate": "last_updated" } }
+//     ],
+//     "columns": { "Symbol": "symbol" }
+//   }
+// Nguồn đứng trước có độ ưu tiên cao hơn: khi gộp theo id, giá trị không rỗng của nguồn trước được giữ.
+const DATA_SOURCES_FILE = process.env.DATA_SOURCES_FILE
+  ? path.resolve(__dirname, process.env.DATA_SOURCES_FILE)
+  : path.join(__dirname, "data", "sources.json");
+const DEFAULT_COLUMN_MAPPING = { LastUpdate: "last_updated" };
+
+// File phân loại coin dùng cho treemap (vd: { "bitcoin": "Layer 1", "uniswap": "DeFi" })
+// Đổi đường dẫn bằng env CATEGORIES_FILE
+const CATEGORIES_PATH = process.env.CATEGORIES_FILE
+  ? path.resolve(__dirname, process.env.CATEGORIES_FILE)
+  : path.join(__dirname, "data", "categories.json");
+
+// Thư mục chứa các snapshot CSV theo ngày (vd: data/snapshots/2025-11-01.csv), đổi bằng env SNAPSHOTS_DIR
+const SNAPSHOTS_DIR = process.env.SNAPSHOTS_DIR
+  ? path.resolve(__dirname, process.env.SNAPSHOTS_DIR)
+  : path.join(__dirname, "data", "snapshots");
+
 let allCoinsFromCSV = null; // cache array of objects
 let totalCoinsAvailable = 0;
+let coinStore = null; // dữ liệu đã chuẩn hóa + index (xem buildCoinStore)
+let coinCategories = {}; // id -> category
+
+// Thông tin về snapshot đang phục vụ (cho /api/status)
+let datasetInfo = {
+  source: null,
+  loaded_at: null,
+  modified_at: null, // lần đầu thấy version hiện tại (Last-Modified)
+  version: null,
+  row_count: 0
+};
+let reloadPromise = null; // reload đang chạy (gộp các lần gọi trùng nhau)
+let reloadQueued = false; // có lần gọi trong lúc reload đang chạy -> chạy thêm một lần sau khi xong
+let lastReloadError = null;
+
+// Theo dõi file CSV: polling interval và thời gian chờ cho file ghi xong
+const CSV_WATCH_INTERVAL_MS = parseInt(process.env.CSV_WATCH_INTERVAL_MS) || 2000;
+const CSV_RELOAD_DEBOUNCE_MS = parseInt(process.env.CSV_RELOAD_DEBOUNCE_MS) || 1000;
+let watchedPaths = [];
+let reloadTimer = null;
+let historyReloadTimer = null;
+
+// Cache kết quả các route GET theo phiên bản dataset (xóa sạch mỗi lần reload)
+//   - RESPONSE_CACHE_MAX_ENTRIES: số response tối đa giữ trong bộ nhớ (0 = tắt cache, vẫn gửi ETag)
+//   - CACHE_CONTROL: header Cache-Control cho các route được cache
+const RESPONSE_CACHE_MAX_ENTRIES = process.env.RESPONSE_CACHE_MAX_ENTRIES !== undefined
+  ? Math.max(0, parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 0)
+  : 500;
+const CACHE_CONTROL = process.env.CACHE_CONTROL || "public, max-age=0, must-revalidate";
+let responseCache = new Map(); // key -> { body, etag } (thứ tự Map = thứ tự dùng gần nhất)
+
+// Stream SSE (/api/stream): ngưỡng để một coin được tính là thay đổi, heartbeat, số event giữ lại để resume
+//   - STREAM_PRICE_THRESHOLD_PCT, STREAM_MARKET_CAP_THRESHOLD_PCT: % thay đổi tối thiểu (default: 1)
+//   - STREAM_RANK_THRESHOLD: số bậc market_cap_rank thay đổi tối thiểu (default: 1)
+//   - STREAM_MAX_CHANGES: số coin tối đa trong một event (lấy các thay đổi lớn nhất, default: 500)
+//   - STREAM_HEARTBEAT_MS, STREAM_BUFFER_SIZE: chu kỳ heartbeat (default: 15000) và số event giữ lại (default: 100)
+const envNumber = (name, fallback) => (Number.isFinite(parseFloat(process.env[name])) ? parseFloat(process.env[name]) : fallback);
+const STREAM_THRESHOLDS = {
+  price_change_percentage: envNumber("STREAM_PRICE_THRESHOLD_PCT", 1),
+  market_cap_change_percentage: envNumber("STREAM_MARKET_CAP_THRESHOLD_PCT", 1),
+  rank_change: envNumber("STREAM_RANK_THRESHOLD", 1)
+};
+const STREAM_MAX_CHANGES = envNumber("STREAM_MAX_CHANGES", 500);
+const STREAM_HEARTBEAT_MS = envNumber("STREAM_HEARTBEAT_MS", 15000);
+const STREAM_BUFFER_SIZE = envNumber("STREAM_BUFFER_SIZE", 100);
+let streamEvents = []; // [{ id, event, data }] các event gần nhất (để client resume bằng Last-Event-ID)
+let lastStreamEventId = 0;
+const streamClients = new Set(); // response SSE đang mở
+
+// Cảnh báo giá: rule + các lần kích hoạt lưu trong file JSON (đổi bằng env ALERTS_FILE)
+//   - ALERT_WEBHOOK_URL: POST các cảnh báo của mỗi lần đánh giá (gộp 1 request) tới URL này. Chỉ operator đặt được (rule không có URL riêng,
+//     để request API không khiến server gọi tới host tùy ý như dịch vụ nội bộ / metadata)
+//   - ALERT_WEBHOOK_TIMEOUT_MS: timeout mỗi lần gọi webhook (default: 5000)
+//   - ALERT_EVENTS_MAX: số cảnh báo gần nhất được giữ lại (default: 1000)
+//   - ALERT_RULES_MAX: số rule tối đa (default: 100)
+//   - ALERT_MAX_EVENTS_PER_RULE: số cảnh báo tối đa của một rule mỗi lần đánh giá, phần dư chỉ được đếm (default: 50)
+//   - ALERT_MATCHING_MAX: số id coin đang thỏa điều kiện được lưu vào file cho mỗi rule (default: 1000);
+//     danh sách đầy đủ chỉ giữ trong bộ nhớ để file không phình theo kích thước dataset
+const ALERTS_PATH = process.env.ALERTS_FILE
+  ? path.resolve(__dirname, process.env.ALERTS_FILE)
+  : path.join(__dirname, "data", "alerts.json");
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+const ALERT_WEBHOOK_TIMEOUT_MS = envNumber("ALERT_WEBHOOK_TIMEOUT_MS", 5000);
+const ALERT_EVENTS_MAX = envNumber("ALERT_EVENTS_MAX", 1000);
+const ALERT_RULES_MAX = envNumber("ALERT_RULES_MAX", 100);
+const ALERT_MAX_EVENTS_PER_RULE = envNumber("ALERT_MAX_EVENTS_PER_RULE", 50);
+const ALERT_MATCHING_MAX = envNumber("ALERT_MATCHING_MAX", 1000);
+let alertState = null; // { next_rule_id, next_event_id, rules, events } (load lần đầu khi cần)
+const alertMatching = new Map(); // rule id -> Set id coin đang thỏa điều kiện so sánh (bản đầy đủ của state.matching)
+let alertWebhookQueue = Promise.resolve(); // các batch webhook được gửi lần lượt, không song song
+
+// Watchlist và portfolio lưu trong file JSON (đổi bằng env WATCHLISTS_FILE, PORTFOLIOS_FILE)
+const WATCHLISTS_PATH = process.env.WATCHLISTS_FILE
+  ? path.resolve(__dirname, process.env.WATCHLISTS_FILE)
+  : path.join(__dirname, "data", "watchlists.json");
+const PORTFOLIOS_PATH = process.env.PORTFOLIOS_FILE
+  ? path.resolve(__dirname, process.env.PORTFOLIOS_FILE)
+  : path.join(__dirname, "data", "portfolios.json");
+let watchlistState = null; // { next_id, watchlists }
+let portfolioState = null; // { next_id, portfolios }
+
+// API key & rate limit
+//   - API_KEYS_FILE: file cấu hình key (default: data/api-keys.json, xem getApiKeyConfig).
+//     Không có file hoặc không có key nào thì không bắt buộc auth (mọi request có đủ quyền như trước)
+//   - RATE_LIMIT_CAPACITY: số token tối đa của mỗi bucket (default: 0 = tắt rate limit; bật bằng env này hoặc
+//     rate_limit trong file key. Sau reverse proxy cần đặt TRUST_PROXY, nếu không mọi client dùng chung 1 bucket)
+//   - RATE_LIMIT_REFILL_PER_SEC: số token được cộng lại mỗi giây (default: 2)
+//   - TRUST_PROXY: giá trị "trust proxy" của Express khi chạy sau reverse proxy (để rate limit theo IP thật)
+const API_KEYS_PATH = process.env.API_KEYS_FILE
+  ? path.resolve(__dirname, process.env.API_KEYS_FILE)
+  : path.join(__dirname, "data", "api-keys.json");
+const DEFAULT_RATE_LIMIT = {
+  capacity: envNumber("RATE_LIMIT_CAPACITY", 0),
+  refill_per_second: envNumber("RATE_LIMIT_REFILL_PER_SEC", 2)
+};
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+let apiKeyConfig = null; // { anonymous_scopes, keys, by_hash, route_costs } (load lần đầu khi cần)
+const rateBuckets = new Map(); // client id -> { tokens, updated, capacity, refill_per_second }
 
 function findExistingCsvPath() {
   for (const p of CSV_PATHS) {
@@ -36,25 +176,851 @@ function loadCSV(csvPath) {
   });
 }
 
+// Helper: Đọc file JSON: mảng record hoặc object có mảng `data`
+async function loadJSONArray(filePath) {
+  const parsed = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  const records = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.data) ? parsed.data : null;
+  if (!records) throw new Error("JSON source must be an array of records or an object with a `data` array");
+  return records;
+}
+
+// Helper: Đọc file JSON Lines (mỗi dòng một object, bỏ dòng trống)
+async function loadJSONLines(filePath) {
+  const content = await fs.promises.readFile(filePath, "utf8");
+  return content
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), index }))
+    .filter(({ line }) => line)
+    .map(({ line, index }) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${err.message}`);
+      }
+    });
+}
+
+// Helper: Đọc dump của CoinGecko /coins/markets (một trang = mảng, nhiều trang = mảng các mảng)
+async function loadCoinGeckoMarkets(filePath) {
+  const records = await loadJSONArray(filePath);
+  return records.flatMap(record => (Array.isArray(record) ? record : [record]));
+}
+
+const SOURCE_LOADERS = {
+  csv: loadCSV,
+  json: loadJSONArray,
+  jsonl: loadJSONLines,
+  coingecko: loadCoinGeckoMarkets
+};
+
+// Helper: Đọc cấu hình nguồn dữ liệu (env DATA_SOURCES hoặc file), null nếu không có cấu hình
+function loadDataSourceConfig() {
+  let config;
+  if (process.env.DATA_SOURCES) {
+    config = JSON.parse(process.env.DATA_SOURCES);
+  } else if (fs.existsSync(DATA_SOURCES_FILE)) {
+    config = JSON.parse(fs.readFileSync(DATA_SOURCES_FILE, "utf8"));
+  } else {
+    return null;
+  }
+
+  const sources = Array.isArray(config) ? config : config.sources;
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error("Data source config must have a non-empty `sources` array");
+  }
+  return {
+    columns: { ...DEFAULT_COLUMN_MAPPING, ...(config.columns || {}) },
+    sources: sources.map((source, index) => {
+      const type = String(source.type || "").toLowerCase();
+      if (!SOURCE_LOADERS[type]) {
+        throw new Error(`Source #${index + 1}: unknown type "${source.type}" (allowed: ${Object.keys(SOURCE_LOADERS).join(", ")})`);
+      }
+      if (!source.path) throw new Error(`Source #${index + 1}: missing path`);
+      return {
+        type,
+        path: path.resolve(__dirname, source.path),
+        columns: source.columns || {}
+      };
+    })
+  };
+}
+
+// Helper: Danh sách nguồn cần load; không có cấu hình thì lấy CSV đầu tiên tồn tại trong CSV_PATHS
+function resolveDataSources() {
+  const config = loadDataSourceConfig();
+  if (config) {
+    return config.sources.map(source => ({
+      ...source,
+      columns: { ...config.columns, ...source.columns }
+    }));
+  }
+  const csvPath = findExistingCsvPath();
+  return csvPath ? [{ type: "csv", path: csvPath, columns: { ...DEFAULT_COLUMN_MAPPING } }] : [];
+}
+
+// Helper: Đổi tên cột theo mapping và đưa giá trị về dạng chuỗi như csv-parser
+// (null -> "", object như roi -> JSON) để các route xử lý mọi nguồn giống nhau
+function toRawRow(record, columns) {
+  const row = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    const column = columns[key] || key;
+    // Cột đã có giá trị từ tên chuẩn thì không ghi đè bằng giá trị rỗng của cột được map
+    if (value === null || value === undefined) {
+      if (!(column in row)) row[column] = "";
+      continue;
+    }
+    row[column] = typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+  return row;
+}
+
+// Helper: Gộp các nguồn theo id; với mỗi cột lấy giá trị không rỗng của nguồn ưu tiên cao nhất
+function mergeSourcesById(sourceRows) {
+  const merged = new Map();
+  const withoutId = [];
+  for (const rows of sourceRows) {
+    for (const row of rows) {
+      const id = String(row.id || "").trim();
+      if (!id) {
+        withoutId.push(row);
+        continue;
+      }
+      const existing = merged.get(id);
+      if (!existing) {
+        merged.set(id, { ...row });
+        continue;
+      }
+      for (const [column, value] of Object.entries(row)) {
+        if ((existing[column] === undefined || existing[column] === "") && value !== "") {
+          existing[column] = value;
+        }
+      }
+    }
+  }
+  return [...merged.values(), ...withoutId];
+}
+
+// Helper: Kiểm tra snapshot mới có dùng được không trước khi thay thế snapshot cũ
+function validateSnapshot(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return "Dataset has no rows";
+  if (!rows.some(row => String(row.id || "").trim())) return "Dataset has no `id` column values";
+  return null;
+}
+
+// Helper: Đọc file phân loại (id -> category hoặc id -> [categories], lấy category đầu tiên)
+function loadCategories() {
+  if (!fs.existsSync(CATEGORIES_PATH)) return {};
+  try {
+    const raw = JSON.parse(fs.readFileSync(CATEGORIES_PATH, "utf8"));
+    const categories = {};
+    for (const [id, value] of Object.entries(raw)) {
+      const category = Array.isArray(value) ? value[0] : value;
+      if (typeof category === "string" && category.trim()) categories[id.trim()] = category.trim();
+    }
+    return categories;
+  } catch (err) {
+    console.error(`Error loading categories ${CATEGORIES_PATH}:`, err.message);
+    return null;
+  }
+}
+
 async function ensureLoaded() {
   if (allCoinsFromCSV && Array.isArray(allCoinsFromCSV) && allCoinsFromCSV.length > 0) return;
-  const csvPath = findExistingCsvPath();
-  if (!csvPath) {
+  await reloadDataset();
+}
+
+// Parse lại CSV ở background rồi mới swap, để snapshot cũ vẫn phục vụ cho đến khi snapshot mới hợp lệ.
+// Gọi trong lúc đang reload: lần đang chạy có thể đã đọc file trước khi file đổi, nên chạy thêm đúng một lần
+// sau khi nó xong (các lần gọi dồn lại được gộp); promise trả về chỉ resolve sau lần reload cuối.
+function reloadDataset() {
+  if (reloadPromise) {
+    reloadQueued = true;
+    return reloadPromise;
+  }
+  reloadPromise = (async () => {
+    let reloaded;
+    do {
+      reloadQueued = false;
+      reloaded = await doReloadDataset();
+    } while (reloadQueued);
+    return reloaded;
+  })().finally(() => {
+    reloadPromise = null;
+    reloadQueued = false;
+  });
+  return reloadPromise;
+}
+
+async function doReloadDataset() {
+  const hasSnapshot = Array.isArray(allCoinsFromCSV) && allCoinsFromCSV.length > 0;
+  const reject = (message, source) => {
+    console.error(`❌ Rejected dataset${source ? ` ${source}` : ""}: ${message}${hasSnapshot ? " (keeping previous snapshot)" : ""}`);
+    lastReloadError = { message, source: source || null, at: new Date().toISOString() };
+    if (!hasSnapshot) {
+      allCoinsFromCSV = [];
+      totalCoinsAvailable = 0;
+      coinStore = buildCoinStore([]);
+    }
+    return false;
+  };
+
+  let sources;
+  try {
+    sources = resolveDataSources();
+  } catch (err) {
+    return reject(`Invalid data source config: ${err.message}`, process.env.DATA_SOURCES ? "DATA_SOURCES" : DATA_SOURCES_FILE);
+  }
+  if (sources.length === 0) {
     console.warn("No CSV file found in data/ folder");
-    allCoinsFromCSV = [];
-    totalCoinsAvailable = 0;
-    return;
+    return reject("No CSV file found");
+  }
+
+  // Load tất cả nguồn; một nguồn lỗi thì bỏ cả lần reload để không phục vụ dữ liệu thiếu
+  const sourceRows = [];
+  for (const source of sources) {
+    try {
+      console.log(`📥 Loading ${source.type}: ${source.path} ...`);
+      const records = await SOURCE_LOADERS[source.type](source.path);
+      const rows = records.map(record => toRawRow(record, source.columns));
+      source.row_count = rows.length;
+      sourceRows.push(rows);
+    } catch (err) {
+      console.error(`Error loading ${source.type} source:`, err);
+      return reject(`Failed to load ${source.type} source: ${err.message}`, source.path);
+    }
+  }
+
+  const rows = sourceRows.length === 1 ? sourceRows[0] : mergeSourcesById(sourceRows);
+  const invalidReason = validateSnapshot(rows);
+  if (invalidReason) {
+    return reject(invalidReason, sources.map(source => source.path).join(", "));
+  }
+
+  // Chuẩn hóa + build index một lần cho cả snapshot thay vì parse lại ở mỗi request
+  const store = buildCoinStore(rows);
+
+  // File phân loại lỗi thì giữ bản cũ
+  const categories = loadCategories() || coinCategories;
+  const version = computeDatasetVersion(rows, categories);
+  const loadedAt = new Date().toISOString();
+
+  const previousStore = coinStore;
+  const previousVersion = datasetInfo.version;
+
+  // Swap snapshot mới (một lần gán, request đang chạy vẫn giữ tham chiếu tới mảng cũ)
+  allCoinsFromCSV = rows;
+  coinStore = store;
+  coinCategories = categories;
+  totalCoinsAvailable = rows.length;
+  datasetInfo = {
+    source: sources[0].path,
+    sources: sources.map(source => ({ type: source.type, path: source.path, row_count: source.row_count })),
+    loaded_at: loadedAt,
+    modified_at: version === datasetInfo.version ? datasetInfo.modified_at : loadedAt,
+    version: version,
+    row_count: rows.length
+  };
+  responseCache = new Map();
+  lastReloadError = null;
+  console.log(`✅ Loaded ${totalCoinsAvailable} rows from ${sources.length} source(s) (version ${version})`);
+
+  // Lần load đầu không có gì để so sánh; reload ra dữ liệu y hệt thì không báo
+  if (previousVersion && version !== previousVersion) {
+    publishStreamEvent("dataset", {
+      version: version,
+      previous_version: previousVersion,
+      loaded_at: loadedAt,
+      row_count: rows.length,
+      ...diffCoinStores(previousStore, store)
+    });
+  }
+
+  // Lỗi khi đánh giá cảnh báo không làm hỏng lần reload
+  try {
+    evaluateAlerts(previousStore, store);
+  } catch (err) {
+    console.error("Error evaluating alerts:", err);
+  }
+
+  // Config có thể vừa thêm nguồn mới -> theo dõi luôn (nếu đang bật watch)
+  if (watchedPaths.length > 0) {
+    for (const source of sources) watchDataFile(source.path);
+  }
+  return true;
+}
+
+// Helper: Hash nội dung snapshot (dòng + phân loại) để reload ra dữ liệu y hệt vẫn giữ nguyên ETag
+function computeDatasetVersion(rows, categories) {
+  const hash = crypto.createHash("sha1");
+  for (const row of rows) hash.update(JSON.stringify(row)).update("\n");
+  hash.update(JSON.stringify(categories));
+  return hash.digest("hex").slice(0, 16);
+}
+
+// Gộp nhiều thay đổi liên tiếp (pipeline đang ghi file) thành một lần reload
+function scheduleReload() {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => {
+    reloadDataset().catch(err => console.error("Error reloading CSV:", err));
+  }, CSV_RELOAD_DEBOUNCE_MS);
+}
+
+// Helper: Các file cần theo dõi: CSV_PATHS, file config nguồn và các file nguồn được cấu hình, file phân loại
+function getWatchTargets() {
+  let configured = [];
+  try {
+    const config = loadDataSourceConfig();
+    if (config) configured = config.sources.map(source => source.path);
+  } catch (err) {
+    // Config lỗi sẽ được báo khi reload
+  }
+  return [...new Set([...CSV_PATHS, DATA_SOURCES_FILE, ...configured, CATEGORIES_PATH])];
+}
+
+function watchDataFile(p) {
+  if (watchedPaths.includes(p)) return;
+  fs.watchFile(p, { interval: CSV_WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    console.log(`🔄 File changed: ${p}`);
+    scheduleReload();
+  });
+  watchedPaths.push(p);
+}
+
+// Theo dõi các file dữ liệu (kể cả file chưa tồn tại, để bắt được khi file processed xuất hiện)
+function startWatchingCsv() {
+  for (const p of getWatchTargets()) {
+    watchDataFile(p);
+  }
+
+  // Thư mục snapshot: mtime thay đổi khi thêm/xóa file
+  fs.watchFile(SNAPSHOTS_DIR, { interval: CSV_WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    console.log(`🔄 Snapshots changed: ${SNAPSHOTS_DIR}`);
+    clearTimeout(historyReloadTimer);
+    historyReloadTimer = setTimeout(() => {
+      reloadHistory().catch(err => console.error("Error reloading snapshots:", err));
+    }, CSV_RELOAD_DEBOUNCE_MS);
+  });
+  watchedPaths.push(SNAPSHOTS_DIR);
+}
+
+function getDatasetStatus() {
+  return {
+    source: datasetInfo.source,
+    sources: datasetInfo.sources || [],
+    loaded_at: datasetInfo.loaded_at,
+    version: datasetInfo.version,
+    row_count: datasetInfo.row_count,
+    reloading: reloadPromise !== null,
+    watching: watchedPaths,
+    last_error: lastReloadError,
+    history: {
+      directory: SNAPSHOTS_DIR,
+      snapshot_count: historyInfo.snapshot_count,
+      coin_count: historyInfo.coin_count,
+      loaded_at: historyInfo.loaded_at
+    },
+    response_cache: {
+      entries: responseCache.size,
+      max_entries: RESPONSE_CACHE_MAX_ENTRIES,
+      cache_control: CACHE_CONTROL
+    },
+    stream: {
+      clients: streamClients.size,
+      last_event_id: lastStreamEventId,
+      buffered_events: streamEvents.length,
+      thresholds: STREAM_THRESHOLDS
+    }
+  };
+}
+
+// ===== Cache response =====
+
+// Helper: Key cache = route + query đã chuẩn hóa (sắp xếp tên param, giá trị lặp giữ nguyên thứ tự, bỏ api_key)
+function getCacheKey(req) {
+  const params = Object.keys(req.query).filter(name => name !== "api_key").sort().map(name => {
+    const value = req.query[name];
+    return [name, Array.isArray(value) ? value.map(String) : String(value)];
+  });
+  return `${req.path}?${JSON.stringify(params)}`;
+}
+
+// Middleware: Cache body JSON của response 200 theo dataset version, gửi ETag/Last-Modified/Cache-Control.
+// res.json/res.send của Express tự trả 304 khi If-None-Match / If-Modified-Since còn khớp (chỉ với response 2xx).
+async function cacheResponse(req, res, next) {
+  await ensureLoaded();
+
+  const version = datasetInfo.version;
+  const key = getCacheKey(req);
+  const etag = `W/"${version}-${crypto.createHash("sha1").update(key).digest("hex").slice(0, 12)}"`;
+  res.set("ETag", etag);
+  res.set("Cache-Control", CACHE_CONTROL);
+  if (datasetInfo.modified_at) res.set("Last-Modified", new Date(datasetInfo.modified_at).toUTCString());
+
+  const cached = responseCache.get(key);
+  if (cached && cached.etag === etag) {
+    // Đưa về cuối Map (LRU)
+    responseCache.delete(key);
+    responseCache.set(key, cached);
+    res.set("X-Cache", "HIT");
+    return res.type("json").send(cached.body);
+  }
+
+  res.set("X-Cache", "MISS");
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    // Chỉ cache khi dataset không đổi trong lúc tính
+    if (res.statusCode === 200 && RESPONSE_CACHE_MAX_ENTRIES > 0 && datasetInfo.version === version) {
+      responseCache.set(key, { body: JSON.stringify(body), etag: etag });
+      if (responseCache.size > RESPONSE_CACHE_MAX_ENTRIES) {
+        responseCache.delete(responseCache.keys().next().value);
+      }
+    }
+    return json(body);
+  };
+  next();
+}
+
+// ===== API key & rate limit =====
+
+// Scope của key; scope cao hơn bao gồm các scope thấp hơn (admin -> write -> read)
+const API_SCOPES = {
+  read: ["read"],
+  write: ["read", "write"],
+  admin: ["read", "write", "admin"]
+};
+
+// Route không cần API key (tài liệu API), vẫn tính rate limit theo IP
+const PUBLIC_ROUTES = ["/api/docs", "/api/openapi.json"];
+
+// Số token mỗi request tiêu tốn (default: 1); các route tổng hợp trên toàn dataset tốn nhiều hơn.
+// Có thể ghi đè / bổ sung bằng route_costs trong file API key.
+const ROUTE_COSTS = {
+  "/api/heatmap": 5,
+  "/api/heatmap/export": 5,
+  "/api/scatter": 5,
+  "/api/histogram": 3,
+  "/api/histogram/export": 3,
+  "/api/compare": 2,
+  "/api/clusters": 5,
+  "/api/anomalies": 3,
+  "/api/coins/export": 3,
+  "/api/quality": 3,
+  "/api/admin/reload": 10
+};
+
+// Helper: Kiểm tra cấu hình rate limit ({ capacity, refill_per_second }); thiếu field thì lấy theo fallback
+function parseRateLimit(value, fallback, where) {
+  if (value === undefined) return fallback;
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error(`${where} must be an object`);
+  const limit = { ...fallback, ...value };
+  if (!Number.isFinite(limit.capacity) || limit.capacity < 0) throw new Error(`${where}.capacity must be a number >= 0`);
+  if (!Number.isFinite(limit.refill_per_second) || limit.refill_per_second <= 0) {
+    throw new Error(`${where}.refill_per_second must be a number > 0`);
+  }
+  return { capacity: limit.capacity, refill_per_second: limit.refill_per_second };
+}
+
+// Helper: Kiểm tra danh sách scope, trả về các scope đã mở rộng (vd: ["admin"] -> read, write, admin)
+function parseScopes(value, where) {
+  if (!Array.isArray(value) || value.some(scope => !API_SCOPES[scope])) {
+    throw new Error(`${where} must be an array of: ${Object.keys(API_SCOPES).join(", ")}`);
+  }
+  return [...new Set(value.flatMap(scope => API_SCOPES[scope]))];
+}
+
+const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// Helper: Đọc file API key (lần đầu hoặc sau POST /api/admin/reload). Ví dụ:
+//   {
+//     "anonymous_scopes": ["read"],
+//     "rate_limit": { "capacity": 60, "refill_per_second": 1 },
+//     "route_costs": { "/api/heatmap": 10 },
+//     "keys": [
+//       { "name": "dashboard", "key": "<secret>", "scopes": ["read"], "rate_limit": { "capacity": 600, "refill_per_second": 10 } },
+//       { "name": "ops", "key_sha256": "<sha256 hex của key>", "scopes": ["admin"] }
+//     ]
+//   }
+//   - anonymous_scopes: quyền của request không có key (default: [] = bắt buộc key)
+//   - rate_limit: bucket mặc định (ghi đè RATE_LIMIT_*), key có rate_limit riêng thì dùng của key
+//   - key hoặc key_sha256: nên dùng key_sha256 để file cấu hình không chứa key thật
+// File sai định dạng thì throw (mọi request trả 500) thay vì mở API cho tất cả
+function getApiKeyConfig() {
+  if (apiKeyConfig) return apiKeyConfig;
+  if (!fs.existsSync(API_KEYS_PATH)) {
+    apiKeyConfig = { enabled: false, anonymous_scopes: [], keys: [], by_hash: new Map(), rate_limit: DEFAULT_RATE_LIMIT, route_costs: ROUTE_COSTS };
+    return apiKeyConfig;
+  }
+
+  const where = path.basename(API_KEYS_PATH);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(API_KEYS_PATH, "utf8"));
+  } catch (err) {
+    throw new ApiError(500, "auth_config_invalid", `Cannot read ${where}: ${err.message}`);
+  }
+
+  try {
+    const rateLimit = parseRateLimit(raw.rate_limit, DEFAULT_RATE_LIMIT, "rate_limit");
+    const routeCosts = { ...ROUTE_COSTS };
+    for (const [route, cost] of Object.entries(raw.route_costs || {})) {
+      if (!Number.isFinite(cost) || cost < 0) throw new Error(`route_costs.${route} must be a number >= 0`);
+      routeCosts[route] = cost;
+    }
+
+    const keys = (raw.keys || []).map((entry, index) => {
+      const at = `keys[${index}]`;
+      if (!entry || typeof entry.name !== "string" || !entry.name) throw new Error(`${at}.name is required`);
+      const hash = typeof entry.key_sha256 === "string"
+        ? entry.key_sha256.toLowerCase()
+        : typeof entry.key === "string" && entry.key ? hashApiKey(entry.key) : null;
+      if (!hash || !/^[0-9a-f]{64}$/.test(hash)) throw new Error(`${at} needs key or key_sha256 (hex)`);
+      return {
+        name: entry.name,
+        hash: hash,
+        scopes: parseScopes(entry.scopes, `${at}.scopes`),
+        rate_limit: parseRateLimit(entry.rate_limit, rateLimit, `${at}.rate_limit`)
+      };
+    });
+
+    apiKeyConfig = {
+      enabled: keys.length > 0,
+      anonymous_scopes: parseScopes(raw.anonymous_scopes || [], "anonymous_scopes"),
+      keys: keys,
+      by_hash: new Map(keys.map(key => [key.hash, key])),
+      rate_limit: rateLimit,
+      route_costs: routeCosts
+    };
+  } catch (err) {
+    throw new ApiError(500, "auth_config_invalid", `Invalid ${where}: ${err.message}`);
+  }
+  console.log(`Loaded ${apiKeyConfig.keys.length} API keys from ${API_KEYS_PATH}`);
+  return apiKeyConfig;
+}
+
+// Helper: Key trong request: header Authorization: Bearer <key>, X-API-Key, hoặc query api_key
+// (query dùng cho EventSource / link tải file vì không gửi được header)
+function readApiKey(req) {
+  const authorization = req.get("Authorization");
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+  }
+  if (req.get("X-API-Key")) return req.get("X-API-Key").trim();
+  return typeof req.query.api_key === "string" && req.query.api_key ? req.query.api_key : null;
+}
+
+// Helper: Scope cần cho request: /api/admin/* cần admin, GET đọc dữ liệu cần read, còn lại (POST/PATCH/DELETE) cần write
+function requiredScope(req) {
+  const route = req.baseUrl + req.path;
+  if (route.startsWith("/api/admin/")) return "admin";
+  return req.method === "GET" || req.method === "HEAD" ? "read" : "write";
+}
+
+// Middleware: Xác thực API key, gán req.client = { id, key, scopes, rate_limit } cho rate limit
+// Không có key trong cấu hình thì request nào cũng có đủ scope (auth tắt).
+// Request bị 401 vẫn trừ token của bucket theo IP (rateLimit không chạy sau khi đã lỗi), để đoán key cũng bị giới hạn
+function authenticate(req, res, next) {
+  const config = getApiKeyConfig();
+  const provided = readApiKey(req);
+  const key = provided ? config.by_hash.get(hashApiKey(provided)) : null;
+
+  req.client = key
+    ? { id: `key:${key.name}`, key: key.name, scopes: key.scopes, rate_limit: key.rate_limit }
+    : {
+      id: `ip:${req.ip}`,
+      key: null,
+      scopes: config.enabled ? config.anonymous_scopes : API_SCOPES.admin,
+      rate_limit: config.rate_limit
+    };
+  if (!config.enabled || PUBLIC_ROUTES.includes(req.baseUrl + req.path)) return next();
+
+  // req.client lúc này là client ẩn danh theo IP; hết token thì trả 429 thay cho 401
+  const unauthorized = (message) => rateLimit(req, res, (err) => {
+    if (err) return next(err);
+    res.set("WWW-Authenticate", 'Bearer realm="api"');
+    next(new ApiError(401, "unauthorized", message));
+  });
+  if (provided && !key) return unauthorized("Invalid API key");
+
+  const scope = requiredScope(req);
+  if (!req.client.scopes.includes(scope)) {
+    if (!key) return unauthorized(`API key with scope ${scope} required`);
+    return next(new ApiError(403, "forbidden", `API key ${key.name} lacks scope ${scope}`, { required_scope: scope }));
+  }
+  next();
+}
+
+// Middleware: Token bucket theo key (hoặc theo IP khi không có key). Mỗi request trừ số token theo route
+// (xem ROUTE_COSTS), bucket được cộng lại refill_per_second token mỗi giây tới tối đa capacity.
+// Header theo draft IETF RateLimit: RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset (giây tới khi đầy lại);
+// hết token thì 429 kèm Retry-After (giây tới khi đủ token cho request này)
+function rateLimit(req, res, next) {
+  const config = getApiKeyConfig();
+  const limit = req.client.rate_limit;
+  if (!(limit.capacity > 0)) return next();
+
+  const route = req.baseUrl + req.path;
+  const cost = Math.min(config.route_costs[route] !== undefined ? config.route_costs[route] : 1, limit.capacity);
+  const now = Date.now();
+  let bucket = rateBuckets.get(req.client.id);
+  if (!bucket) {
+    pruneRateBuckets(now);
+    bucket = { tokens: limit.capacity, updated: now };
+    rateBuckets.set(req.client.id, bucket);
+  }
+  bucket.capacity = limit.capacity;
+  bucket.refill_per_second = limit.refill_per_second;
+  bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updated) / 1000 * limit.refill_per_second);
+  bucket.updated = now;
+
+  const allowed = bucket.tokens >= cost;
+  if (allowed) bucket.tokens -= cost;
+
+  res.set("RateLimit-Policy", `${limit.capacity};w=${Math.ceil(limit.capacity / limit.refill_per_second)}`);
+  res.set("RateLimit-Limit", String(limit.capacity));
+  res.set("RateLimit-Remaining", String(Math.floor(bucket.tokens)));
+  res.set("RateLimit-Reset", String(Math.ceil((limit.capacity - bucket.tokens) / limit.refill_per_second)));
+  if (allowed) return next();
+
+  const retryAfter = Math.ceil((cost - bucket.tokens) / limit.refill_per_second);
+  res.set("Retry-After", String(retryAfter));
+  next(new ApiError(429, "rate_limited", `Rate limit exceeded: ${route} costs ${cost} tokens`, {
+    cost: cost,
+    remaining: Math.floor(bucket.tokens),
+    retry_after: retryAfter
+  }));
+}
+
+// Helper: Bỏ các bucket đã đầy lại (client không gọi nữa) để Map không phình theo số IP
+function pruneRateBuckets(now) {
+  if (rateBuckets.size < 10000) return;
+  for (const [id, bucket] of rateBuckets) {
+    if (bucket.tokens + (now - bucket.updated) / 1000 * bucket.refill_per_second >= bucket.capacity) rateBuckets.delete(id);
+  }
+}
+
+// ===== Stream cập nhật dataset (SSE) =====
+
+// Helper: % thay đổi từ a sang b (null nếu thiếu dữ liệu hoặc a = 0)
+function percentChange(from, to) {
+  const ratio = safeRatio(to, from);
+  return ratio === null ? null : (ratio - 1) * 100;
+}
+
+// Helper: So sánh hai snapshot theo id: coin thêm/bớt và coin có price, market_cap hoặc rank
+// thay đổi vượt ngưỡng STREAM_THRESHOLDS (sắp xếp theo mức thay đổi lớn nhất, tối đa STREAM_MAX_CHANGES coin)
+function diffCoinStores(previous, current) {
+  const changed = [];
+  const added = [];
+  for (const coin of current.coins) {
+    const id = coin.id.toLowerCase();
+    if (!id) continue;
+    const index = previous.byId.get(id);
+    if (index === undefined) {
+      added.push(coin.id);
+      continue;
+    }
+
+    const old = previous.coins[index];
+    const priceChange = percentChange(old.current_price, coin.current_price);
+    const marketCapChange = percentChange(old.market_cap, coin.market_cap);
+    const rankChange = old.market_cap_rank !== null && coin.market_cap_rank !== null
+      ? old.market_cap_rank - coin.market_cap_rank // > 0: lên hạng
+      : null;
+
+    const moved =
+      (priceChange !== null && Math.abs(priceChange) >= STREAM_THRESHOLDS.price_change_percentage && priceChange !== 0) ||
+      (marketCapChange !== null && Math.abs(marketCapChange) >= STREAM_THRESHOLDS.market_cap_change_percentage && marketCapChange !== 0) ||
+      (rankChange !== null && Math.abs(rankChange) >= STREAM_THRESHOLDS.rank_change && rankChange !== 0);
+    if (!moved) continue;
+
+    changed.push({
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      price: { from: old.current_price, to: coin.current_price, change_percentage: roundStat(priceChange) },
+      market_cap: { from: old.market_cap, to: coin.market_cap, change_percentage: roundStat(marketCapChange) },
+      market_cap_rank: { from: old.market_cap_rank, to: coin.market_cap_rank, change: rankChange }
+    });
+  }
+
+  const removed = previous.coins
+    .filter(coin => coin.id && !current.byId.has(coin.id.toLowerCase()))
+    .map(coin => coin.id);
+
+  const magnitude = (change) => Math.max(Math.abs(change.price.change_percentage || 0), Math.abs(change.market_cap.change_percentage || 0));
+  changed.sort((a, b) => magnitude(b) - magnitude(a));
+
+  return {
+    thresholds: STREAM_THRESHOLDS,
+    changed_count: changed.length,
+    truncated: changed.length > STREAM_MAX_CHANGES,
+    changed: changed.slice(0, STREAM_MAX_CHANGES),
+    added: added,
+    removed: removed
+  };
+}
+
+// Helper: Ghi một event theo format SSE (data JSON một dòng)
+function writeStreamEvent(res, { id, event, data }) {
+  let message = "";
+  if (id !== undefined) message += `id: ${id}\n`;
+  message += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  res.write(message);
+}
+
+// Helper: Gửi event cho mọi client đang nghe và giữ lại STREAM_BUFFER_SIZE event gần nhất để resume
+function publishStreamEvent(event, data) {
+  const entry = { id: ++lastStreamEventId, event: event, data: data };
+  streamEvents.push(entry);
+  if (streamEvents.length > STREAM_BUFFER_SIZE) streamEvents = streamEvents.slice(-STREAM_BUFFER_SIZE);
+  for (const res of streamClients) writeStreamEvent(res, entry);
+}
+
+// ===== Lịch sử giá từ các snapshot =====
+
+let coinHistory = null; // Map id -> [{ t, price, market_cap, total_volume }] (sắp xếp theo t)
+let historyInfo = {
+  snapshot_count: 0,
+  coin_count: 0,
+  loaded_at: null
+};
+let historyPromise = null;
+
+// Helper: Lấy thời điểm của snapshot từ tên file (vd: 2025-11-01.csv, market_2025-11-01T10-00.csv)
+function parseSnapshotTime(fileName) {
+  const match = fileName.match(/(\d{4})-(\d{2})-(\d{2})(?:[T_ ](\d{2})[-:]?(\d{2})(?:[-:]?(\d{2}))?)?/);
+  if (!match) return null;
+  const [, y, mo, d, h = "00", mi = "00", sec = "00"] = match;
+  const time = Date.parse(`${y}-${mo}-${d}T${h}:${mi}:${sec}Z`);
+  return Number.isFinite(time) ? time : null;
+}
+
+// Helper: Thời điểm snapshot = ngày trong tên file, nếu không có thì lấy last_updated mới nhất, cuối cùng là mtime
+function resolveSnapshotTime(filePath, rows) {
+  const fromName = parseSnapshotTime(path.basename(filePath));
+  if (fromName !== null) return fromName;
+
+  let latest = null;
+  for (const row of rows) {
+    const t = Date.parse(row.last_updated || row.LastUpdate);
+    if (Number.isFinite(t) && (latest === null || t > latest)) latest = t;
+  }
+  if (latest !== null) return latest;
+
+  return fs.statSync(filePath).mtimeMs;
+}
+
+function ensureHistoryLoaded() {
+  if (coinHistory) return Promise.resolve();
+  return reloadHistory();
+}
+
+function reloadHistory() {
+  if (!historyPromise) {
+    historyPromise = doReloadHistory().finally(() => {
+      historyPromise = null;
+    });
   }
+  return historyPromise;
+}
+
+async function doReloadHistory() {
+  let files = [];
   try {
-    console.log(`📥 Loading CSV: ${csvPath} ...`);
-    allCoinsFromCSV = await loadCSV(csvPath);
-    totalCoinsAvailable = allCoinsFromCSV.length;
-    console.log(`✅ Loaded ${totalCoinsAvailable} rows from CSV`);
+    files = fs.readdirSync(SNAPSHOTS_DIR)
+      .filter(f => f.toLowerCase().endsWith(".csv"))
+      .map(f => path.join(SNAPSHOTS_DIR, f));
   } catch (err) {
-    console.error("Error loading CSV:", err);
-    allCoinsFromCSV = [];
-    totalCoinsAvailable = 0;
+    if (err.code !== "ENOENT") console.error("Error reading snapshots folder:", err);
+  }
+
+  const history = new Map();
+  let snapshotCount = 0;
+  const parseNum = (val) => {
+    const num = parseFloat(val);
+    return Number.isFinite(num) ? num : null;
+  };
+
+  for (const filePath of files) {
+    let rows;
+    try {
+      rows = await loadCSV(filePath);
+    } catch (err) {
+      console.error(`Error loading snapshot ${filePath}:`, err);
+      continue;
+    }
+    if (rows.length === 0) continue;
+
+    const t = resolveSnapshotTime(filePath, rows);
+    snapshotCount++;
+
+    for (const row of rows) {
+      const id = String(row.id || "").trim();
+      if (!id) continue;
+      if (!history.has(id)) history.set(id, []);
+      history.get(id).push({
+        t,
+        price: parseNum(row.current_price),
+        market_cap: parseNum(row.market_cap),
+        total_volume: parseNum(row.total_volume)
+      });
+    }
+  }
+
+  // Sắp xếp theo thời gian và bỏ điểm trùng thời điểm (giữ điểm đọc sau)
+  for (const [id, points] of history) {
+    points.sort((a, b) => a.t - b.t);
+    const unique = [];
+    for (const point of points) {
+      if (unique.length > 0 && unique[unique.length - 1].t === point.t) {
+        unique[unique.length - 1] = point;
+      } else {
+        unique.push(point);
+      }
+    }
+    history.set(id, unique);
   }
+
+  coinHistory = history;
+  historyInfo = {
+    snapshot_count: snapshotCount,
+    coin_count: history.size,
+    loaded_at: new Date().toISOString()
+  };
+  if (snapshotCount > 0) {
+    console.log(`✅ Loaded ${snapshotCount} snapshots (${history.size} coins) from ${SNAPSHOTS_DIR}`);
+  }
+}
+
+// Helper: Parse interval dạng "30m", "1h", "1d", "1w" thành milliseconds ("raw" = không gộp)
+const INTERVAL_UNITS = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+function parseInterval(value) {
+  if (value === "raw") return 0;
+  const match = String(value).trim().match(/^(\d+)\s*([mhdw])$/);
+  if (!match || parseInt(match[1]) <= 0) return null;
+  return parseInt(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+// Helper: Parse from/to (ISO date hoặc epoch milliseconds)
+function parseTimeParam(value) {
+  if (value === undefined || value === "") return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+// Helper: Gộp các điểm trong một khoảng thành open/high/low/close
+function ohlc(values) {
+  const valid = values.filter(v => v !== null);
+  if (valid.length === 0) return null;
+  return {
+    open: valid[0],
+    high: Math.max(...valid),
+    low: Math.min(...valid),
+    close: valid[valid.length - 1]
+  };
 }
 
 function normalizeValue(value) {
@@ -132,479 +1098,3345 @@ function normalizeCoinData(coin) {
   };
 }
 
-app.get("/api/coins", async (req, res) => {
-  await ensureLoaded();
-  
-  let { page = 1, limit = 20, search = "" } = req.query;
-  page = parseInt(page) || 1;
-  limit = Math.min(250, parseInt(limit) || 20);
-  search = (search || "").toLowerCase().trim();
+// Các cột numeric trong kết quả normalizeCoinData
+const NUMERIC_FIELDS = [
+  "current_price", "market_cap", "market_cap_rank", "fully_diluted_valuation", "total_volume",
+  "high_24h", "low_24h", "price_change_24h", "price_change_percentage_24h",
+  "market_cap_change_24h", "market_cap_change_percentage_24h",
+  "circulating_supply", "total_supply", "max_supply",
+  "ath", "ath_change_percentage", "atl", "atl_change_percentage"
+];
 
-  let filteredCoins = allCoinsFromCSV;
-  
-  if (search) {
-    filteredCoins = allCoinsFromCSV.filter(coin =>
-      String(coin.name || "").toLowerCase().includes(search) ||
-      String(coin.symbol || "").toLowerCase().includes(search) ||
-      String(coin.id || "").toLowerCase().includes(search)
-    );
-  }
-
-  const totalCoins = filteredCoins.length;
-  const startIndex = (page - 1) * limit;
-  const endIndex = startIndex + limit;
-  const paginatedCoins = filteredCoins.slice(startIndex, endIndex);
+// Tất cả cột của normalizeCoinData (roi là object nên không sort được)
+const COIN_COLUMNS = Object.keys(normalizeCoinData({}));
+const SORTABLE_COLUMNS = COIN_COLUMNS.filter(col => col !== "roi");
 
-  // Chuẩn hóa dữ liệu
-  const normalizedCoins = paginatedCoins.map(coin => normalizeCoinData(coin));
+// ===== Validation & lỗi API =====
 
-  res.json({
-    success: true,
-    pagination: {
-      page: page,
-      limit: limit,
-      total: totalCoins,
-      total_pages: Math.ceil(totalCoins / limit),
-      has_next: endIndex < totalCoins,
-      has_prev: page > 1
-    },
-    count: normalizedCoins.length,
-    data: normalizedCoins
-  });
-});
+// Lỗi trả về cho client; error handler chuyển thành { success: false, error: { code, message, details } }
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
 
-// Endpoint: /api/histogram - Trả về dữ liệu histogram của market_cap (với log scale để trực quan hơn)
-// Query params: bins (số khoảng, mặc định: 20)
-app.get("/api/histogram", async (req, res) => {
-  await ensureLoaded();
+// Helper: 400 kèm danh sách lỗi theo từng param ({ param, code, message })
+function invalidQuery(errors) {
+  return new ApiError(400, "invalid_query", "Invalid query parameters", errors);
+}
 
-  const bins = Math.min(100, Math.max(5, parseInt(req.query.bins) || 20));
+// Parse các param dạng chuỗi đặc biệt (trả về null nếu không hợp lệ)
+const PARAM_FORMATS = {
+  "date-time": { parse: parseTimeParam, message: "must be an ISO date or epoch milliseconds" },
+  interval: { parse: parseInterval, message: "must be raw or <n>m|h|d|w (e.g. 1d)" }
+};
 
-  // Lấy tất cả giá trị market_cap hợp lệ
-  const marketCapValues = allCoinsFromCSV
-    .map(coin => normalizeValue(coin.market_cap))
-    .filter(val => typeof val === "number" && val > 0)
-    .sort((a, b) => a - b);
+// Helper: Kiểm tra một giá trị theo spec (đặt tên key theo JSON Schema):
+//   type: integer | number | boolean | string | array (danh sách cách nhau bằng dấu phẩy, phần tử theo items,
+//         số phần tử giới hạn bởi minItems / maxItems)
+//   enum, minimum, maximum, exclusiveMinimum, format (xem PARAM_FORMATS)
+//   errorCode: code khi giá trị không nằm trong enum (default: invalid_value)
+function parseParamValue(param, value, spec) {
+  const fail = (code, message) => ({ error: { param, code, message: `${param} ${message}` } });
 
-  if (marketCapValues.length === 0) {
-    return res.json({
-      success: true,
-      message: "No valid market cap data",
-      histogram: [],
-      statistics: {
-        count: 0,
-        min: 0,
-        max: 0,
-        mean: 0,
-        median: 0
-      }
-    });
+  if (spec.type === "array") {
+    const items = value.split(",").map(item => item.trim()).filter(Boolean);
+    const parsed = [];
+    const invalid = [];
+    for (const item of items) {
+      const result = parseParamValue(param, item, spec.items);
+      if (result.error) invalid.push(item);
+      else parsed.push(result.value);
+    }
+    if (invalid.length > 0) {
+      const code = spec.items.errorCode || "invalid_value";
+      return fail(code, `has invalid values: ${invalid.join(", ")}${spec.items.enum ? `. Allowed: ${spec.items.enum.join(", ")}` : ""}`);
+    }
+    if ((spec.minItems !== undefined && parsed.length < spec.minItems) ||
+        (spec.maxItems !== undefined && parsed.length > spec.maxItems)) {
+      const bounds = [
+        spec.minItems !== undefined ? `at least ${spec.minItems}` : null,
+        spec.maxItems !== undefined ? `at most ${spec.maxItems}` : null
+      ].filter(Boolean);
+      return fail("out_of_range", `must have ${bounds.join(" and ")} items`);
+    }
+    return { value: parsed };
   }
 
-  // Tính min, max
-  const min = marketCapValues[0];
-  const max = marketCapValues[marketCapValues.length - 1];
-  const total = marketCapValues.length;
-
-  // Sử dụng log scale để phân bố dữ liệu đều hơn
-  const logMin = Math.log10(min);
-  const logMax = Math.log10(max);
-  const logRange = logMax - logMin;
-  const logBinSize = logRange / bins;
-
-  // Tạo histogram bins với log scale
-  const histogram = Array(bins).fill(0).map((_, i) => {
-    const logStart = logMin + i * logBinSize;
-    const logEnd = logMin + (i + 1) * logBinSize;
-    const start = Math.pow(10, logStart);
-    const end = Math.pow(10, logEnd);
-    
-    return {
-      bin: i + 1,
-      label: `$${start.toExponential(1)} - $${end.toExponential(1)}`,
-      range: `${formatNumber(start)} - ${formatNumber(end)}`,
-      start: parseFloat(start.toFixed(2)),
-      end: parseFloat(end.toFixed(2)),
-      logStart: parseFloat(logStart.toFixed(2)),
-      logEnd: parseFloat(logEnd.toFixed(2)),
-      count: 0,
-      percentage: 0,
-      color: getColor(i, bins)
-    };
-  });
-
-  // Đếm giá trị rơi vào từng bin
-  for (const value of marketCapValues) {
-    const logValue = Math.log10(value);
-    const binIndex = Math.min(
-      bins - 1,
-      Math.floor((logValue - logMin) / logBinSize)
-    );
-    if (binIndex >= 0 && binIndex < bins) {
-      histogram[binIndex].count++;
+  if (spec.type === "integer" || spec.type === "number") {
+    const num = Number(value);
+    if (!Number.isFinite(num) || (spec.type === "integer" && !Number.isInteger(num))) {
+      return fail("invalid_value", `must be ${spec.type === "integer" ? "an integer" : "a number"}`);
+    }
+    if ((spec.minimum !== undefined && num < spec.minimum) ||
+        (spec.exclusiveMinimum !== undefined && num <= spec.exclusiveMinimum) ||
+        (spec.maximum !== undefined && num > spec.maximum)) {
+      const bounds = [
+        spec.minimum !== undefined ? `>= ${spec.minimum}` : null,
+        spec.exclusiveMinimum !== undefined ? `> ${spec.exclusiveMinimum}` : null,
+        spec.maximum !== undefined ? `<= ${spec.maximum}` : null
+      ].filter(Boolean);
+      return fail("out_of_range", `must be ${bounds.join(" and ")}`);
     }
+    return { value: num };
   }
 
-  // Tính percentage và tối ưu hóa dữ liệu
-  let maxCount = 0;
-  for (const bin of histogram) {
-    bin.percentage = parseFloat(((bin.count / total) * 100).toFixed(2));
-    maxCount = Math.max(maxCount, bin.count);
+  if (spec.type === "boolean") {
+    const lower = value.toLowerCase();
+    if (["true", "1"].includes(lower)) return { value: true };
+    if (["false", "0"].includes(lower)) return { value: false };
+    return fail("invalid_value", "must be true or false");
   }
 
-  // Tính statistics
-  const mean = marketCapValues.reduce((a, b) => a + b, 0) / total;
-  const median = total % 2 === 0
-    ? (marketCapValues[total / 2 - 1] + marketCapValues[total / 2]) / 2
-    : marketCapValues[Math.floor(total / 2)];
-
-  res.json({
-    success: true,
-    statistics: {
-      count: total,
-      min: parseFloat(min.toFixed(2)),
-      max: parseFloat(max.toFixed(2)),
-      mean: parseFloat(mean.toFixed(2)),
-      median: parseFloat(median.toFixed(2)),
-      range: parseFloat((max - min).toFixed(2)),
-      maxCount: maxCount
-    },
-    bins_count: bins,
-    scale: "logarithmic",
-    histogram: histogram.filter(bin => bin.count > 0)
-  });
-});
+  if (spec.enum) {
+    const lower = value.toLowerCase();
+    if (!spec.enum.includes(lower)) {
+      return fail(spec.errorCode || "invalid_value", `must be one of: ${spec.enum.join(", ")}`);
+    }
+    return { value: lower };
+  }
 
-// Helper: Format số lớn thành dạng dễ đọc
-function formatNumber(num) {
-  if (num >= 1e9) return (num / 1e9).toFixed(1) + 'B';
-  if (num >= 1e6) return (num / 1e6).toFixed(1) + 'M';
-  if (num >= 1e3) return (num / 1e3).toFixed(1) + 'K';
-  return num.toFixed(0);
-}
+  if (spec.format) {
+    const parsed = PARAM_FORMATS[spec.format].parse(value);
+    if (parsed === null) return fail("invalid_value", PARAM_FORMATS[spec.format].message);
+    return { value: parsed };
+  }
 
-// Helper: Tạo màu gradient cho từng bin
-function getColor(index, total) {
-  const hue = (index / total) * 240; // Từ xanh (240°) đến đỏ (0°)
-  const saturation = 70 + (index / total) * 30; // Từ 70% đến 100%
-  const lightness = 45 + (index / total) * 10; // Từ 45% đến 55%
-  return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return fail("out_of_range", `must be at most ${spec.maxLength} characters`);
+  }
+  return { value };
 }
 
-// Helper: Tính percentile
-function percentile(arr, p) {
-  if (arr.length === 0) return 0;
-  const sorted = arr.slice().sort((a, b) => a - b);
-  const index = (p / 100) * (sorted.length - 1);
-  const lower = Math.floor(index);
-  const upper = Math.ceil(index);
-  const weight = index % 1;
-  
-  if (lower === upper) return sorted[lower];
-  return sorted[lower] * (1 - weight) + sorted[upper] * weight;
-}
+// Helper: Validate query theo schema { param: spec }. Param rỗng coi như không truyền (dùng default);
+// spec có required: true mà không truyền thì báo lỗi missing_parameter.
+// Param không có trong schema trả về trong unknown để route tự xử lý (vd: filter động của /api/coins).
+// api_key (xem readApiKey) được bỏ qua ở mọi route.
+function validateQuery(query, schema) {
+  const params = {};
+  const errors = [];
+  const unknown = [];
 
-// Endpoint: /api/scatter - Trả về dữ liệu scatter plot cho 2 cột (tối ưu - chỉ 2D histogram)
-// Query params: 
-//   - x: numeric column for X axis (default: current_price)
-//   - y: numeric column for Y axis (default: market_cap)
-//   - bins: số bins trên mỗi axis (default: 15)
-app.get("/api/scatter", async (req, res) => {
-  await ensureLoaded();
+  for (const [param, spec] of Object.entries(schema)) {
+    if (spec.default === undefined) continue;
+    params[param] = spec.format ? PARAM_FORMATS[spec.format].parse(spec.default) : spec.default;
+  }
 
-  const xColumn = req.query.x || "current_price";
-  const yColumn = req.query.y || "market_cap";
-  const bins = Math.min(30, Math.max(5, parseInt(req.query.bins) || 15));
+  for (const [param, raw] of Object.entries(query)) {
+    if (param === "api_key") continue;
+    if (Array.isArray(raw) || typeof raw !== "string") {
+      errors.push({ param, code: "invalid_value", message: `Parameter ${param} must be given once` });
+      continue;
+    }
+    if (!schema[param]) {
+      unknown.push([param, raw.trim()]);
+      continue;
+    }
+    const value = raw.trim();
+    if (value === "") continue;
 
-  // Lấy tất cả dữ liệu hợp lệ từ 2 cột
-  const allData = allCoinsFromCSV
-    .map(coin => {
-      const xVal = parseFloat(coin[xColumn]);
-      const yVal = parseFloat(coin[yColumn]);
-      const isValid = Number.isFinite(xVal) && Number.isFinite(yVal) && xVal > 0 && yVal > 0;
-      return isValid ? { x: xVal, y: yVal } : null;
-    })
-    .filter(item => item !== null);
+    const result = parseParamValue(param, value, schema[param]);
+    if (result.error) errors.push(result.error);
+    else params[param] = result.value;
+  }
 
-  if (allData.length === 0) {
-    return res.json({
-      success: false,
-      message: `No valid data for columns: x=${xColumn}, y=${yColumn}`
-    });
+  for (const [param, spec] of Object.entries(schema)) {
+    if (spec.required && params[param] === undefined && !errors.some(error => error.param === param)) {
+      errors.push({ param, code: "missing_parameter", message: `${param} is required` });
+    }
   }
 
-  // Tính min/max
-  const xMin = Math.min(...allData.map(d => d.x));
-  const xMax = Math.max(...allData.map(d => d.x));
-  const yMin = Math.min(...allData.map(d => d.y));
-  const yMax = Math.max(...allData.map(d => d.y));
-  const xRange = xMax - xMin || 1;
-  const yRange = yMax - yMin || 1;
+  return { params, errors, unknown };
+}
 
-  // Auto log scale nếu range quá lớn
-  const xUseLog = xRange > 1000;
-  const yUseLog = yRange > 1000;
+// Helper: Validate query, báo lỗi unknown_parameter cho param ngoài schema; lỗi thì throw 400
+function parseQuery(query, schema) {
+  const { params, errors, unknown } = validateQuery(query, schema);
+  for (const [param] of unknown) {
+    errors.push({ param, code: "unknown_parameter", message: `Unknown parameter: ${param}` });
+  }
+  if (errors.length > 0) throw invalidQuery(errors);
+  return params;
+}
 
-  // Tạo 2D bin grid và đếm
-  const binGrid = Array(bins).fill(null).map(() => Array(bins).fill(0));
+// Param dùng chung
+// (description dùng cho tài liệu OpenAPI ở /api/openapi.json)
+const PAGINATION_PARAMS = {
+  page: { type: "integer", minimum: 1, default: 1, description: "Page number (1-based)" },
+  limit: { type: "integer", minimum: 1, maximum: 250, default: 20, description: "Items per page" }
+};
+// Mức độ bất thường (xem /api/anomalies), thứ tự tăng dần
+const ANOMALY_SEVERITIES = ["low", "medium", "high"];
+const EXCLUDE_ANOMALIES_PARAM = {
+  type: "string", enum: ["none", ...ANOMALY_SEVERITIES], default: "none",
+  description: "Drop coins flagged by /api/anomalies (default settings) at this severity or above"
+};
+const COIN_QUERY_PARAMS = {
+  search: { type: "string", maxLength: 200, default: "", description: "Case-insensitive substring match on name, symbol or id" },
+  sort: { type: "string", description: "Comma-separated column:asc|desc list, e.g. market_cap:desc,current_price:asc" },
+  nulls: {
+    type: "string", enum: ["first", "last", "exclude"], default: "last",
+    description: "Where null values of the sort column go; exclude drops those rows"
+  },
+  fields: {
+    type: "array", items: { type: "string", enum: COIN_COLUMNS, errorCode: "unknown_column" },
+    description: "Comma-separated columns to return (default: all)"
+  },
+  exclude_anomalies: EXCLUDE_ANOMALIES_PARAM
+};
 
-  for (const point of allData) {
-    let xBin, yBin;
+// Toán tử lọc dạng <column>_<op>=<value>
+const FILTER_OPERATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b
+};
 
-    if (xUseLog) {
-      const logX = Math.log10(point.x);
-      const logMin = Math.log10(xMin);
-      const logMax = Math.log10(xMax);
-      xBin = Math.min(bins - 1, Math.floor(((logX - logMin) / (logMax - logMin)) * bins));
-    } else {
-      xBin = Math.min(bins - 1, Math.floor(((point.x - xMin) / xRange) * bins));
-    }
+// Helper: Parse các query param search/sort/filter/nulls/fields dùng chung cho /api/coins và các route export
+// extraParams: schema các param khác của route (vd: phân trang, format); kết quả nằm trong params
+// Lỗi thì throw 400 (invalid_query)
+function parseCoinQuery(query, extraParams = {}) {
+  const { params, errors, unknown } = validateQuery(query, { ...COIN_QUERY_PARAMS, ...extraParams });
+  const options = {
+    search: params.search.toLowerCase(),
+    sort: [],
+    filters: [],
+    nulls: params.nulls,
+    fields: params.fields && params.fields.length > 0 ? params.fields : null
+  };
 
-    if (yUseLog) {
-      const logY = Math.log10(point.y);
-      const logMin = Math.log10(yMin);
-      const logMax = Math.log10(yMax);
-      yBin = Math.min(bins - 1, Math.floor(((logY - logMin) / (logMax - logMin)) * bins));
-    } else {
-      yBin = Math.min(bins - 1, Math.floor(((point.y - yMin) / yRange) * bins));
+  // Các param còn lại phải là filter <column>_<op>
+  for (const [param, value] of unknown) {
+    const match = param.match(/^(.+)_([a-z]+)$/);
+    if (!match) {
+      errors.push({ param, code: "unknown_parameter", message: `Unknown parameter: ${param}` });
+      continue;
+    }
+    const [, column, op] = match;
+    if (!NUMERIC_FIELDS.includes(column)) {
+      errors.push({
+        param,
+        code: COIN_COLUMNS.includes(column) ? "column_not_numeric" : "unknown_column",
+        message: COIN_COLUMNS.includes(column)
+          ? `Column ${column} is not numeric and cannot be range-filtered`
+          : `Unknown column: ${column}`
+      });
+      continue;
+    }
+    if (op === "null") {
+      if (value !== "true" && value !== "false") {
+        errors.push({ param, code: "invalid_value", message: `${param} must be true or false` });
+        continue;
+      }
+      options.filters.push({ column, op, value: value === "true" });
+      continue;
+    }
+    if (!FILTER_OPERATORS[op]) {
+      errors.push({
+        param,
+        code: "unknown_operator",
+        message: `Unknown operator: ${op}. Allowed: ${Object.keys(FILTER_OPERATORS).join(", ")}, null`
+      });
+      continue;
+    }
+    const num = Number(value);
+    if (value === "" || !Number.isFinite(num)) {
+      errors.push({ param, code: "invalid_value", message: `${param} must be a number` });
+      continue;
     }
+    options.filters.push({ column, op, value: num });
+  }
 
-    if (xBin >= 0 && yBin >= 0) {
-      binGrid[xBin][yBin]++;
+  if (params.sort) {
+    for (const part of params.sort.split(",").map(p => p.trim()).filter(Boolean)) {
+      const [column, direction = "asc", ...rest] = part.split(":").map(p => p.trim());
+      if (!SORTABLE_COLUMNS.includes(column)) {
+        errors.push({ param: "sort", code: "unknown_column", message: `Cannot sort by column: ${column}` });
+      } else if (rest.length > 0 || !["asc", "desc"].includes(direction.toLowerCase())) {
+        errors.push({ param: "sort", code: "invalid_value", message: `Invalid sort direction in: ${part} (use asc or desc)` });
+      } else {
+        options.sort.push({ column, direction: direction.toLowerCase() });
+      }
     }
   }
 
-  // Chuyển grid thành array tối ưu
-  const binnedPoints = [];
-  const maxCount = Math.max(...binGrid.flat());
+  if (errors.length > 0) throw invalidQuery(errors);
+  return { options, params };
+}
+
+// Helper: Kiểm tra một coin đã chuẩn hóa có khớp search/filter (và nulls=exclude) không
+function coinMatches(coin, options) {
+  if (options.search &&
+    !coin.name.toLowerCase().includes(options.search) &&
+    !coin.symbol.includes(options.search) &&
+    !coin.id.toLowerCase().includes(options.search)) {
+    return false;
+  }
 
-  for (let i = 0; i < bins; i++) {
-    for (let j = 0; j < bins; j++) {
-      const count = binGrid[i][j];
-      if (count > 0) {
-        binnedPoints.push([i, j, count]); // [x_bin, y_bin, count]
-      }
+  for (const filter of options.filters) {
+    const value = coin[filter.column];
+    if (filter.op === "null") {
+      if ((value === null) !== filter.value) return false;
+    } else if (value === null || !FILTER_OPERATORS[filter.op](value, filter.value)) {
+      return false;
     }
   }
 
-  // Tính correlation
-  const xValues = allData.map(d => d.x);
-  const yValues = allData.map(d => d.y);
-  const xMean = xValues.reduce((a, b) => a + b, 0) / xValues.length;
-  const yMean = yValues.reduce((a, b) => a + b, 0) / yValues.length;
-  const xDev = xValues.map(x => x - xMean);
-  const yDev = yValues.map(y => y - yMean);
-  const covariance = xDev.reduce((sum, xd, i) => sum + xd * yDev[i], 0) / xValues.length;
-  const xStd = Math.sqrt(xDev.reduce((sum, xd) => sum + xd * xd, 0) / xValues.length);
-  const yStd = Math.sqrt(yDev.reduce((sum, yd) => sum + yd * yd, 0) / yValues.length);
-  const correlation = covariance / (xStd * yStd);
+  if (options.nulls === "exclude" &&
+    !options.sort.every(({ column }) => coin[column] !== null && coin[column] !== "")) {
+    return false;
+  }
 
-  res.json({
-    success: true,
-    x: xColumn,
-    y: yColumn,
-    bins: bins,
-    log: { x: xUseLog, y: yUseLog },
-    data: binnedPoints,
-    total: allData.length,
-    bins_count: binnedPoints.length,
-    stats: {
-      correlation: parseFloat(correlation.toFixed(4))
+  return true;
+}
+
+// Helper: Sắp xếp theo options.sort (null luôn ở đầu/cuối, không phụ thuộc chiều sort)
+function sortCoins(coins, options) {
+  if (options.sort.length === 0) return coins;
+  const nullOrder = options.nulls === "first" ? -1 : 1;
+  return coins.slice().sort((a, b) => {
+    for (const { column, direction } of options.sort) {
+      const aNull = a[column] === null || a[column] === "";
+      const bNull = b[column] === null || b[column] === "";
+      if (aNull && bNull) continue;
+      if (aNull) return nullOrder;
+      if (bNull) return -nullOrder;
+      if (a[column] === b[column]) continue;
+      const cmp = a[column] < b[column] ? -1 : 1;
+      return direction === "desc" ? -cmp : cmp;
     }
+    return 0;
   });
-});
+}
 
-// Endpoint: /api/heatmap - Trả về ma trận tương quan giữa tất cả các cột numeric
-// Query params:
-//   - columns: danh sách cột (cách nhau bằng dấu phẩy, nếu không có thì lấy tất cả cột numeric)
-app.get("/api/heatmap", async (req, res) => {
-  await ensureLoaded();
+// Helper: Chỉ giữ các cột trong fields (null = giữ tất cả)
+function projectFields(coin, fields) {
+  if (!fields) return coin;
+  const projected = {};
+  for (const field of fields) projected[field] = coin[field];
+  return projected;
+}
 
-  let columns;
+// ===== Store dữ liệu đã chuẩn hóa =====
 
-  if (req.query.columns) {
-    // Nếu có query, lấy theo danh sách được cung cấp
-    columns = req.query.columns.split(",").map(c => c.trim());
-  } else {
-    // Nếu không có, tự động detect tất cả cột numeric từ CSV headers
-    if (allCoinsFromCSV.length === 0) {
-      return res.json({
-        success: false,
-        message: "No data available"
-      });
+// Helper: Các trigram (3 ký tự liên tiếp) của chuỗi
+function getTrigrams(text) {
+  const grams = new Set();
+  for (let i = 0; i + 3 <= text.length; i++) grams.add(text.slice(i, i + 3));
+  return grams;
+}
+
+// Chuẩn hóa toàn bộ dataset một lần khi load:
+//   - coins: record normalizeCoinData (dùng trực tiếp cho response)
+//   - columns: cột numeric dạng Float64Array (NaN = null)
+//   - byId, bySymbol, trigrams: index tìm kiếm (id/symbol/name viết thường)
+//   - cache: kết quả tính lazy theo snapshot (thứ tự sắp xếp, schema, ...)
+function buildCoinStore(rows) {
+  const coins = rows.map(row => normalizeCoinData(row));
+  const size = coins.length;
+
+  const columns = {};
+  for (const field of NUMERIC_FIELDS) {
+    const values = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      const value = coins[i][field];
+      values[i] = value === null ? NaN : value;
+    }
+    columns[field] = values;
+  }
+
+  const byId = new Map();
+  const bySymbol = new Map();
+  const trigrams = new Map();
+  const searchText = new Array(size);
+  for (let i = 0; i < size; i++) {
+    const coin = coins[i];
+    const id = coin.id.toLowerCase();
+    const name = coin.name.toLowerCase();
+    if (id && !byId.has(id)) byId.set(id, i);
+    if (coin.symbol) {
+      if (!bySymbol.has(coin.symbol)) bySymbol.set(coin.symbol, []);
+      bySymbol.get(coin.symbol).push(i);
     }
 
-    const firstRow = allCoinsFromCSV[0];
-    columns = Object.keys(firstRow);
+    searchText[i] = [name, coin.symbol, id];
+    const grams = new Set([...getTrigrams(name), ...getTrigrams(coin.symbol), ...getTrigrams(id)]);
+    for (const gram of grams) {
+      if (!trigrams.has(gram)) trigrams.set(gram, []);
+      trigrams.get(gram).push(i); // index tăng dần -> giữ thứ tự dataset
+    }
   }
 
-  // Bỏ các cột không cần thiết (metadata, ngày tháng, dữ liệu thiếu)
-  const excludeColumns = [
-    "last_updated", "LastUpdate", "image", "name", "symbol", "id",
-    "ath_date", "atl_date", "roi", // ngày tháng và non-numeric
-    "fully_diluted_valuation" // cột thường thiếu dữ liệu
-  ];
-  columns = columns.filter(col => !excludeColumns.includes(col));
+  return { rows, coins, size, columns, byId, bySymbol, trigrams, searchText, cache: new Map() };
+}
 
-  // Lọc cột hợp lệ (numeric)
-  columns = columns.filter(col => {
-    const sample = allCoinsFromCSV.find(coin => coin[col]);
-    if (!sample) return false;
-    const val = parseFloat(sample[col]);
-    return Number.isFinite(val);
-  });
+// Helper: Tính một lần cho mỗi snapshot rồi cache trong store
+function memoize(store, key, compute) {
+  if (!store.cache.has(key)) store.cache.set(key, compute());
+  return store.cache.get(key);
+}
 
-  if (columns.length < 2) {
-    return res.json({
-      success: false,
-      message: "Need at least 2 valid numeric columns",
-      found_columns: columns.length
-    });
+// Helper: Cột numeric dạng Float64Array; chỉ số phái sinh và cột ngoài NUMERIC_FIELDS (từ CSV) thì tính một lần
+function getNumericColumn(store, column) {
+  if (store.columns[column]) return store.columns[column];
+  if (DERIVED_FIELDS.includes(column)) {
+    return memoize(store, `column:${column}`, () => Float64Array.from(store.coins, coin => {
+      const value = deriveCoinMetrics(coin)[column];
+      return value === null ? NaN : value;
+    }));
   }
+  return memoize(store, `column:${column}`, () => Float64Array.from(store.rows, row => {
+    const value = parseFloat(row[column]);
+    return Number.isFinite(value) ? value : NaN;
+  }));
+}
 
-  // Lấy dữ liệu và tính correlation matrix
-  const data = {};
-  for (const col of columns) {
-    data[col] = allCoinsFromCSV
-      .map(coin => {
-        const val = parseFloat(coin[col]);
-        return Number.isFinite(val) ? val : null;
-      })
-      .filter(val => val !== null);
-  }
+// Helper: Index các coin có giá trị ở cột, sắp xếp tăng dần theo giá trị
+function getSortedOrder(store, column) {
+  return memoize(store, `order:${column}`, () => {
+    const values = getNumericColumn(store, column);
+    const order = [];
+    for (let i = 0; i < store.size; i++) {
+      if (!Number.isNaN(values[i])) order.push(i);
+    }
+    return Int32Array.from(order.sort((a, b) => values[a] - values[b] || a - b));
+  });
+}
 
-  // Lọc chỉ giữ cột có ít nhất 80% dữ liệu hợp lệ (strict hơn)
-  const minDataPoints = Math.floor(allCoinsFromCSV.length * 0.8);
-  const validColumns = columns.filter(col => data[col].length >= minDataPoints);
+// Helper: Các giá trị không null của cột, tăng dần
+function getSortedValues(store, column) {
+  return memoize(store, `values:${column}`, () => {
+    const values = getNumericColumn(store, column);
+    return Array.from(getSortedOrder(store, column), i => values[i]);
+  });
+}
 
-  if (validColumns.length < 2) {
-    return res.json({
-      success: false,
-      message: `Not enough columns with sufficient data. Need at least 2 columns with 80%+ data points`,
-      checked_columns: columns.length,
-      valid_columns: validColumns.length,
-      required_data_points: minDataPoints,
-      total_records: allCoinsFromCSV.length
-    });
+// Helper: Coin có market_cap > 0, sắp xếp giảm dần theo market_cap (dùng chung cho treemap, overview)
+function getCoinsByMarketCap(store) {
+  return memoize(store, "coins:market_cap_desc", () => store.coins
+    .filter(coin => coin.market_cap !== null && coin.market_cap > 0)
+    .sort((a, b) => b.market_cap - a.market_cap));
+}
+
+// Helper: Index các coin có name/symbol/id chứa từ khóa (dùng trigram index khi từ khóa >= 3 ký tự)
+function searchCoinIndexes(store, term) {
+  const matches = (i) => store.searchText[i].some(text => text.includes(term));
+  if (term.length < 3) {
+    const result = [];
+    for (let i = 0; i < store.size; i++) if (matches(i)) result.push(i);
+    return result;
   }
 
-  // Cập nhật columns và data
-  const finalColumns = validColumns;
-  const finalData = {};
-  for (const col of finalColumns) {
-    finalData[col] = data[col];
+  // Lấy danh sách ngắn nhất trong các trigram của từ khóa rồi kiểm tra lại từng ứng viên
+  let candidates = null;
+  for (const gram of getTrigrams(term)) {
+    const list = store.trigrams.get(gram);
+    if (!list) return [];
+    if (!candidates || list.length < candidates.length) candidates = list;
   }
+  return candidates.filter(matches);
+}
 
-  // Tính correlation coefficient cho mỗi cặp cột
-  const n = Math.min(...finalColumns.map(col => finalData[col].length));
-  
-  if (n < 2) {
-    return res.json({
-      success: false,
-      message: `Not enough valid data points (${n} found, need at least 2)`,
-      valid_columns: finalColumns.length
-    });
+// Helper: Query danh sách coin (search/filter/sort) trên store
+function queryCoins(store, options) {
+  const candidates = options.search ? searchCoinIndexes(store, options.search) : null;
+  const hasFilters = options.filters.length > 0 || options.nulls === "exclude";
+  const filterOptions = { ...options, search: "" }; // search đã xử lý bằng index
+
+  // Sort một cột numeric: dùng thứ tự đã sắp sẵn thay vì sort lại
+  if (options.sort.length === 1 && NUMERIC_FIELDS.includes(options.sort[0].column)) {
+    const { column, direction } = options.sort[0];
+    const order = getSortedOrder(store, column);
+    const values = store.columns[column];
+    const ordered = Array.from(order);
+    if (direction === "desc") {
+      // Đảo chiều nhưng giữ thứ tự dataset cho các giá trị bằng nhau (giống sortCoins)
+      ordered.reverse();
+      for (let start = 0; start < ordered.length;) {
+        let end = start;
+        while (end + 1 < ordered.length && values[ordered[end + 1]] === values[ordered[start]]) end++;
+        // Đảo đoạn bằng nhau tại chỗ (spread một đoạn rất dài vào splice sẽ tràn call stack)
+        for (let i = start, j = end; i < j; i++, j--) {
+          const swap = ordered[i];
+          ordered[i] = ordered[j];
+          ordered[j] = swap;
+        }
+        start = end + 1;
+      }
+    }
+    const nullIndexes = [];
+    if (options.nulls !== "exclude") {
+      for (let i = 0; i < store.size; i++) if (Number.isNaN(values[i])) nullIndexes.push(i);
+    }
+    const all = options.nulls === "first" ? [...nullIndexes, ...ordered] : [...ordered, ...nullIndexes];
+    const allowed = candidates ? new Set(candidates) : null;
+    return all
+      .filter(i => !allowed || allowed.has(i))
+      .map(i => store.coins[i])
+      .filter(coin => !hasFilters || coinMatches(coin, filterOptions));
   }
 
-  // Tạo correlation matrix
-  const correlationMatrix = [];
+  let coins = candidates ? candidates.map(i => store.coins[i]) : store.coins;
+  if (hasFilters) coins = coins.filter(coin => coinMatches(coin, filterOptions));
+  return sortCoins(coins, options);
+}
 
-  for (let i = 0; i < finalColumns.length; i++) {
-    const row = [];
-    
-    for (let j = 0; j < finalColumns.length; j++) {
-      if (i === j) {
-        row.push(1.0);
-      } else {
-        const col1 = finalData[finalColumns[i]].slice(0, n);
-        const col2 = finalData[finalColumns[j]].slice(0, n);
+// ===== Export (csv, tsv, jsonl) =====
 
-        const mean1 = col1.reduce((a, b) => a + b, 0) / n;
-        const mean2 = col2.reduce((a, b) => a + b, 0) / n;
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv; charset=utf-8", delimiter: "," },
+  tsv: { extension: "tsv", contentType: "text/tab-separated-values; charset=utf-8", delimiter: "\t" },
+  jsonl: { extension: "jsonl", contentType: "application/x-ndjson; charset=utf-8", delimiter: null }
+};
 
-        const dev1 = col1.map(x => x - mean1);
-        const dev2 = col2.map(x => x - mean2);
+// Helper: Chuyển một giá trị thành ô CSV/TSV (object như roi thì ghi JSON)
+function formatExportCell(value, delimiter) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (delimiter === "\t") return text.replace(/[\t\r\n]+/g, " ");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-        const covariance = dev1.reduce((sum, d, idx) => sum + d * dev2[idx], 0) / n;
-        const std1 = Math.sqrt(dev1.reduce((sum, d) => sum + d * d, 0) / n);
-        const std2 = Math.sqrt(dev2.reduce((sum, d) => sum + d * d, 0) / n);
+// Helper: Đặt header cho file tải về (vd: coins-2025-11-01.csv)
+function setExportHeaders(res, name, format) {
+  const spec = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`${name}-${date}.${spec.extension}`);
+  res.type(spec.contentType);
+}
 
-        const corr = covariance / (std1 * std2);
-        const correlation = Math.max(-1, Math.min(1, corr)); // Clamp to [-1, 1]
+// Helper: Ghi từng dòng ra response, chờ "drain" khi buffer đầy để không giữ toàn bộ file trong bộ nhớ
+async function streamExport(res, format, columns, rows) {
+  const { delimiter } = EXPORT_FORMATS[format];
+  const waitForDrain = () => new Promise(resolve => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+  const writeLine = async (line) => {
+    if (!res.write(line + "\n")) await waitForDrain();
+  };
 
-        row.push(parseFloat(correlation.toFixed(4)));
-      }
+  if (delimiter) {
+    await writeLine(columns.map(col => formatExportCell(col, delimiter)).join(delimiter));
+  }
+  for (const row of rows) {
+    if (res.destroyed) return;
+    if (delimiter) {
+      await writeLine(columns.map(col => formatExportCell(row[col], delimiter)).join(delimiter));
+    } else {
+      await writeLine(JSON.stringify(projectFields(row, columns)));
     }
-    
-    correlationMatrix.push(row);
   }
+  res.end();
+}
 
-  res.json({
-    success: true,
-    columns: finalColumns,
-    data_points: n,
-    data_completeness: parseFloat(((n / allCoinsFromCSV.length) * 100).toFixed(1)) + "%",
-    total_records: allCoinsFromCSV.length,
-    correlation_matrix: correlationMatrix,
-    description: "Correlation matrix with 80%+ data completeness. Range: -1 (negative) to 1 (positive)."
-  });
-});
+// Param format dùng chung cho các route export
+const EXPORT_FORMAT_PARAM = { type: "string", enum: Object.keys(EXPORT_FORMATS), default: "csv" };
 
-// Endpoint: /api/wordmap - Trả về dữ liệu word map theo market_cap
-// Query params:
-//   - limit: số coin tối đa (default: 50)
-//   - min_market_cap: lọc coin có market_cap >= giá trị này (default: 0)
-app.get("/api/wordmap", async (req, res) => {
-  await ensureLoaded();
+// ===== Schema & data quality =====
 
-  const limit = Math.min(200, Math.max(5, parseInt(req.query.limit) || 50));
-  const minMarketCap = parseFloat(req.query.min_market_cap) || 0;
+// Giá trị coi như rỗng khi suy luận kiểu
+const NULL_TOKENS = ["", "null", "none", "nan", "n/a"];
+// Cột định danh/metadata không dùng để vẽ biểu đồ dù có thể là số
+const NON_CHARTABLE_COLUMNS = ["id", "symbol", "name", "image"];
 
-  // Lọc coin có market_cap hợp lệ
-  const validCoins = allCoinsFromCSV
-    .map(coin => {
-      const marketCap = parseFloat(coin.market_cap);
-      const name = String(coin.name || "").trim();
-      const symbol = String(coin.symbol || "").trim().toUpperCase();
-      
-      if (!Number.isFinite(marketCap) || marketCap <= minMarketCap || !name || !symbol) {
-        return null;
-      }
-      
-      return {
-        name: name,
-        symbol: symbol,
-        market_cap: marketCap,
-        current_price: parseFloat(coin.current_price) || 0,
-        image: String(coin.image || "").trim()
-      };
-    })
-    .filter(item => item !== null)
-    .sort((a, b) => b.market_cap - a.market_cap)
-    .slice(0, limit);
+// Helper: Suy luận kiểu của một giá trị CSV (string)
+function inferValueType(raw) {
+  const value = String(raw).trim();
+  if (NULL_TOKENS.includes(value.toLowerCase())) return "null";
+  if (Number.isFinite(Number(value))) return Number.isInteger(Number(value)) ? "integer" : "number";
+  if (/^(true|false)$/i.test(value)) return "boolean";
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime())) return "date";
+  if (value.startsWith("{") && value.endsWith("}")) return "object";
+  return "string";
+}
 
-  if (validCoins.length === 0) {
-    return res.json({
-      success: false,
-      message: "No valid coins found for wordmap"
-    });
+// Helper: Mô tả tất cả các cột trong CSV (kiểu, null, distinct, min/max, mẫu, có vẽ được không)
+function buildSchema(rows) {
+  const columnNames = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columnNames.includes(key)) columnNames.push(key);
+    }
   }
 
-  // Tính min/max market_cap để normalize size
-  const marketCaps = validCoins.map(c => c.market_cap);
-  const minCap = Math.min(...marketCaps);
-  const maxCap = Math.max(...marketCaps);
-  const capRange = maxCap - minCap || 1;
+  return columnNames.map(column => {
+    const typeCounts = {};
+    const distinct = new Set();
+    const samples = [];
+    let nullCount = 0;
+    let numMin = null;
+    let numMax = null;
+    let textMin = null;
+    let textMax = null;
 
-  // Tạo word map data
-  const wordmapData = validCoins.map((coin, index) => {
-    // Normalize market_cap thành size (10 - 100)
-    const sizeRatio = (coin.market_cap - minCap) / capRange;
-    const size = 10 + sizeRatio * 90; // 10 to 100
+    for (const row of rows) {
+      const raw = row[column] === undefined ? "" : String(row[column]).trim();
+      const type = inferValueType(raw);
+      if (type === "null") {
+        nullCount++;
+        continue;
+      }
+      typeCounts[type] = (typeCounts[type] || 0) + 1;
+      distinct.add(raw);
+      if (samples.length < 5 && !samples.includes(raw)) samples.push(raw);
+      if (type === "integer" || type === "number") {
+        const num = Number(raw);
+        if (numMin === null || num < numMin) numMin = num;
+        if (numMax === null || num > numMax) numMax = num;
+      } else {
+        if (textMin === null || raw < textMin) textMin = raw;
+        if (textMax === null || raw > textMax) textMax = raw;
+      }
+    }
 
-    // Color gradient: xanh lục (small) -> vàng -> đỏ (large)
-    const hue = 120 - (sizeRatio * 120); // 120 (green) -> 0 (red)
-    const saturation = 50 + sizeRatio * 50; // 50% -> 100%
+    // Kiểu chính = kiểu chiếm đa số; integer + number gộp thành number nếu lẫn nhau
+    const nonNull = rows.length - nullCount;
+    const numericCount = (typeCounts.integer || 0) + (typeCounts.number || 0);
+    let type = "empty";
+    let conforming = 0;
+    if (nonNull > 0) {
+      const [topType, topCount] = Object.entries(typeCounts).sort((a, b) => b[1] - a[1])[0];
+      if (numericCount >= topCount) {
+        type = typeCounts.number ? "number" : "integer";
+        conforming = numericCount;
+      } else {
+        type = topType;
+        conforming = topCount;
+      }
+    }
+    const isNumeric = type === "number" || type === "integer";
+
+    return {
+      name: column,
+      type: type,
+      type_counts: typeCounts,
+      invalid_count: nonNull - conforming, // giá trị không khớp kiểu chính
+      null_count: nullCount,
+      non_null_count: nonNull,
+      completeness: rows.length > 0 ? parseFloat(((nonNull / rows.length) * 100).toFixed(1)) : 0,
+      distinct_count: distinct.size,
+      min: isNumeric ? numMin : textMin,
+      max: isNumeric ? numMax : textMax,
+      sample_values: samples,
+      chartable: isNumeric && !NON_CHARTABLE_COLUMNS.includes(column) && distinct.size > 1
+    };
+  });
+}
+
+// Helper: Schema của snapshot hiện tại (tính một lần cho mỗi lần load)
+function getSchema(store) {
+  return memoize(store, "schema", () => buildSchema(store.rows));
+}
+
+// Helper: Các cột numeric vẽ được (dùng chung cho heatmap và các route phân tích)
+function getChartableColumns(store) {
+  return getSchema(store).filter(col => col.chartable).map(col => col.name);
+}
+
+// Helper: Kiểm tra chất lượng dữ liệu, mỗi check trả về danh sách dòng vi phạm
+function buildQualityReport(store) {
+  const rows = store.rows;
+  const issues = {
+    duplicate_ids: [],
+    duplicate_symbols: [],
+    missing_ids: [],
+    unparsable_dates: [],
+    malformed_roi: [],
+    negative_supply: [],
+    circulating_exceeds_max_supply: []
+  };
+  const rowRef = (row, index) => ({ row: index + 2, id: String(row.id || "").trim() || null }); // row = số dòng trong file (có header)
+
+  // Trùng id / symbol
+  const groupBy = (key) => {
+    const groups = new Map();
+    rows.forEach((row, index) => {
+      const value = String(row[key] || "").trim().toLowerCase();
+      if (!value) return;
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(rowRef(row, index));
+    });
+    return [...groups.entries()]
+      .filter(([, refs]) => refs.length > 1)
+      .map(([value, refs]) => ({ [key]: value, count: refs.length, rows: refs }));
+  };
+  issues.duplicate_ids = groupBy("id");
+  issues.duplicate_symbols = groupBy("symbol");
+
+  rows.forEach((row, index) => {
+    const coin = store.coins[index];
+    const ref = rowRef(row, index);
+
+    if (!coin.id) issues.missing_ids.push(ref);
+
+    for (const column of ["ath_date", "atl_date", "last_updated"]) {
+      const raw = column === "last_updated" ? row.last_updated || row.LastUpdate : row[column];
+      if (raw && String(raw).trim() && coin[column] === null) {
+        issues.unparsable_dates.push({ ...ref, column, value: raw });
+      }
+    }
+
+    const rawRoi = row.roi === undefined ? "" : String(row.roi).trim();
+    if (rawRoi && !NULL_TOKENS.includes(rawRoi.toLowerCase())) {
+      const roi = coin.roi;
+      const valid = roi && typeof roi === "object" &&
+        Number.isFinite(Number(roi.times)) && typeof roi.currency === "string" && Number.isFinite(Number(roi.percentage));
+      if (!valid) issues.malformed_roi.push({ ...ref, value: rawRoi });
+    }
+
+    for (const column of ["circulating_supply", "total_supply", "max_supply"]) {
+      if (coin[column] !== null && coin[column] < 0) {
+        issues.negative_supply.push({ ...ref, column, value: coin[column] });
+      }
+    }
+
+    if (coin.circulating_supply !== null && coin.max_supply !== null && coin.max_supply > 0 &&
+      coin.circulating_supply > coin.max_supply) {
+      issues.circulating_exceeds_max_supply.push({
+        ...ref,
+        circulating_supply: coin.circulating_supply,
+        max_supply: coin.max_supply
+      });
+    }
+  });
+
+  return issues;
+}
+
+// Helper: Chia an toàn (trả về null nếu thiếu dữ liệu hoặc mẫu số = 0)
+function safeRatio(numerator, denominator) {
+  if (numerator === null || denominator === null || denominator === 0) return null;
+  const ratio = numerator / denominator;
+  return Number.isFinite(ratio) ? ratio : null;
+}
+
+// Helper: Các chỉ số phái sinh từ một coin đã chuẩn hóa
+function deriveCoinMetrics(coin) {
+  const pctFrom = (value, base) => {
+    const ratio = safeRatio(value, base);
+    return ratio === null ? null : (ratio - 1) * 100;
+  };
+
+  return {
+    supply_ratio: safeRatio(coin.circulating_supply, coin.max_supply), // circulating / max
+    fdv_to_market_cap: safeRatio(coin.fully_diluted_valuation, coin.market_cap),
+    ath_distance_percentage: pctFrom(coin.current_price, coin.ath), // % so với ATH (<= 0)
+    atl_distance_percentage: pctFrom(coin.current_price, coin.atl), // % so với ATL (>= 0)
+    turnover: safeRatio(coin.total_volume, coin.market_cap) // volume / market_cap
+  };
+}
+
+const DERIVED_FIELDS = Object.keys(deriveCoinMetrics(normalizeCoinData({})));
+
+// Helper: Vị trí đầu tiên trong mảng tăng dần mà phần tử > value (strict = false) hoặc >= value (strict = true)
+function bisect(sortedValues, value, strict) {
+  let lo = 0;
+  let hi = sortedValues.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (strict ? sortedValues[mid] < value : sortedValues[mid] <= value) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// Helper: Percentile rank (0-100) của value trong mảng đã sắp xếp tăng dần (giá trị bằng nhau tính một nửa)
+function percentileRank(sortedValues, value) {
+  if (value === null || sortedValues.length === 0) return null;
+  const below = bisect(sortedValues, value, true);
+  const equal = bisect(sortedValues, value, false) - below;
+  return ((below + equal / 2) / sortedValues.length) * 100;
+}
+
+// Helper: Khoảng cách Levenshtein (dùng để gợi ý coin khi không tìm thấy)
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr.push(Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Helper: Tìm coin theo id (ưu tiên) hoặc symbol; nhiều coin trùng symbol thì lấy coin có market_cap lớn nhất
+// Trả về index trong store (-1 nếu không có)
+function findCoinIndex(store, idOrSymbol) {
+  const key = String(idOrSymbol || "").trim().toLowerCase();
+  if (!key) return -1;
+
+  if (store.byId.has(key)) return store.byId.get(key);
+
+  const bySymbol = store.bySymbol.get(key);
+  if (!bySymbol) return -1;
+  const marketCaps = store.columns.market_cap;
+  return bySymbol.reduce((best, i) => ((marketCaps[i] || 0) > (marketCaps[best] || 0) ? i : best));
+}
+
+// Helper: Gợi ý các coin gần giống (fuzzy theo name/symbol/id)
+function suggestCoins(store, query, limit = 5) {
+  const key = String(query || "").trim().toLowerCase();
+  if (!key) return [];
+
+  const scored = [];
+  for (let i = 0; i < store.size; i++) {
+    const coin = store.coins[i];
+    const candidates = store.searchText[i];
+    let best = Infinity;
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      // Chứa nhau thì coi như rất gần
+      const distance = candidate.includes(key) || key.includes(candidate)
+        ? Math.abs(candidate.length - key.length) / Math.max(candidate.length, key.length)
+        : levenshtein(key, candidate) / Math.max(candidate.length, key.length);
+      best = Math.min(best, distance);
+    }
+    if (best <= 0.5) scored.push({ coin, score: 1 - best });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score || (b.coin.market_cap || 0) - (a.coin.market_cap || 0))
+    .slice(0, limit)
+    .map(({ coin, score }) => ({
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      score: parseFloat(score.toFixed(3))
+    }));
+}
+
+// ===== State lưu trong file JSON & body của POST/PATCH =====
+
+// Helper: Đọc file JSON lưu state (alerts, watchlist, portfolio); chưa có file thì dùng defaults.
+// File lỗi thì throw để không ghi đè mất dữ liệu cũ
+function readStateFile(filePath, defaults) {
+  const state = { ...defaults };
+  if (fs.existsSync(filePath)) {
+    try {
+      Object.assign(state, JSON.parse(fs.readFileSync(filePath, "utf8")));
+    } catch (err) {
+      throw new Error(`Cannot read state file ${filePath}: ${err.message}`);
+    }
+  }
+  return state;
+}
+
+// Ghi ra file tạm rồi rename để file không bị hỏng nếu process dừng giữa chừng
+function writeStateFile(filePath, state) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Helper: Bắt đầu validate body JSON của POST/PATCH: body phải là object, field ngoài allowedFields báo unknown_field.
+// Trả về errors ([{ field, code, message }]) và fail() để thêm lỗi; route tự throw 400 invalid_body nếu có lỗi
+function validateBody(body, allowedFields) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ApiError(400, "invalid_body", "Request body must be a JSON object");
+  }
+  const errors = [];
+  const fail = (field, code, message, extra = {}) => errors.push({ field, code, message: `${field} ${message}`, ...extra });
+  for (const field of Object.keys(body)) {
+    if (!allowedFields.includes(field)) errors.push({ field, code: "unknown_field", message: `Unknown field: ${field}` });
+  }
+  return { errors, fail };
+}
+
+// ===== Cảnh báo giá =====
+
+// Điều kiện của rule: so sánh (dùng FILTER_OPERATORS, báo khi điều kiện chuyển từ sai sang đúng)
+// hoặc vượt ngưỡng giữa snapshot trước và snapshot mới
+const ALERT_CROSSINGS = {
+  crosses_above: (previous, value, threshold) => previous < threshold && value >= threshold,
+  crosses_below: (previous, value, threshold) => previous > threshold && value <= threshold,
+  crosses: (previous, value, threshold) =>
+    (previous < threshold && value >= threshold) || (previous > threshold && value <= threshold)
+};
+const ALERT_CONDITIONS = [...Object.keys(FILTER_OPERATORS), ...Object.keys(ALERT_CROSSINGS)];
+const ALERT_METRICS = [...NUMERIC_FIELDS, ...DERIVED_FIELDS];
+const ALERT_RULE_FIELDS = ["name", "coin", "top", "metric", "condition", "value"];
+
+function getAlertState() {
+  if (!alertState) alertState = readStateFile(ALERTS_PATH, { next_rule_id: 1, next_event_id: 1, rules: [], events: [] });
+  return alertState;
+}
+
+function saveAlertState() {
+  writeStateFile(ALERTS_PATH, alertState);
+}
+
+// Helper: Validate body của POST /api/alerts, trả về rule (chưa có id); lỗi thì throw 400 invalid_body
+//   - metric, condition, value: bắt buộc (vd: current_price crosses_above 70000, market_cap_rank crosses_below 10)
+//   - coin (id hoặc symbol) hoặc top (coin có market_cap_rank <= top); không có cả hai = mọi coin
+//   - name: tùy chọn
+function parseAlertRule(body, store) {
+  const { errors, fail } = validateBody(body, ALERT_RULE_FIELDS);
+
+  const rule = { name: null, coin: null, top: null, metric: body.metric, condition: body.condition, value: body.value };
+
+  if (!ALERT_METRICS.includes(body.metric)) {
+    fail("metric", body.metric === undefined ? "missing_field" : "unknown_column", `must be one of: ${ALERT_METRICS.join(", ")}`);
+  }
+  if (!ALERT_CONDITIONS.includes(body.condition)) {
+    fail("condition", body.condition === undefined ? "missing_field" : "invalid_value", `must be one of: ${ALERT_CONDITIONS.join(", ")}`);
+  }
+  if (typeof body.value !== "number" || !Number.isFinite(body.value)) {
+    fail("value", body.value === undefined ? "missing_field" : "invalid_value", "must be a number");
+  }
+
+  if (body.coin !== undefined && body.top !== undefined) {
+    fail("coin", "invalid_value", "cannot be combined with top");
+  } else if (body.coin !== undefined) {
+    const index = typeof body.coin === "string" ? findCoinIndex(store, body.coin) : -1;
+    if (index === -1) fail("coin", "not_found", `not found: ${body.coin}`, { suggestions: suggestCoins(store, body.coin) });
+    else rule.coin = store.coins[index].id;
+  } else if (body.top !== undefined) {
+    if (!Number.isInteger(body.top) || body.top < 1) fail("top", "invalid_value", "must be an integer >= 1");
+    else rule.top = body.top;
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || body.name.length > 200) fail("name", "invalid_value", "must be a string of at most 200 characters");
+    else rule.name = body.name;
+  }
+
+  if (errors.length > 0) throw new ApiError(400, "invalid_body", "Invalid alert rule", errors);
+
+  if (!rule.name) {
+    const scope = rule.coin || (rule.top ? `any top-${rule.top} coin` : "any coin");
+    rule.name = `${scope} ${rule.metric} ${rule.condition} ${rule.value}`;
+  }
+  return rule;
+}
+
+// Helper: Rule trả về cho client (bỏ state nội bộ và webhook_url của rule lưu từ phiên bản cũ, không còn được dùng)
+function formatAlertRule(rule) {
+  const { state, webhook_url: webhookUrl, ...data } = rule;
+  return { ...data, matching_count: state.matching_count !== undefined ? state.matching_count : state.matching.length };
+}
+
+// Helper: Các coin kích hoạt rule trên snapshot store.
+// Điều kiện so sánh: chỉ báo coin mới thỏa (so với tập coin đã thỏa lần trước, để không báo lặp lại mỗi lần reload).
+// Tập này nằm trong alertMatching; sau khi restart thì lấy từ state.matching đã lưu, nếu bản lưu bị cắt
+// (matching_truncated) thì lần đánh giá đầu coi mọi coin đang thỏa là đã báo.
+// Điều kiện crosses_*: so với giá trị của coin ở snapshot trước (previous), không có snapshot trước thì không báo.
+// Chỉ tạo tối đa ALERT_MAX_EVENTS_PER_RULE cảnh báo, số coin còn lại trả về trong suppressed;
+// changed = state của rule đã đổi (cần lưu lại file)
+function evaluateAlertRule(rule, store, previous) {
+  const values = getNumericColumn(store, rule.metric);
+  const ranks = store.columns.market_cap_rank;
+  const crossing = ALERT_CROSSINGS[rule.condition];
+  const previousValues = previous && crossing ? getNumericColumn(previous, rule.metric) : null;
+  const wasMatching = alertMatching.get(rule.id) || (rule.state.matching_truncated ? null : new Set(rule.state.matching));
+
+  let indexes;
+  if (rule.coin) {
+    const index = store.byId.get(rule.coin.toLowerCase());
+    indexes = index === undefined ? [] : [index];
+  } else {
+    indexes = Array.from({ length: store.size }, (_, i) => i);
+  }
+
+  const hits = [];
+  const matching = [];
+  for (const i of indexes) {
+    const id = store.coins[i].id;
+    const value = values[i];
+    if (!id || Number.isNaN(value)) continue;
+    if (rule.top !== null && !(ranks[i] <= rule.top)) continue;
+
+    if (crossing) {
+      if (!previousValues) continue;
+      const j = previous.byId.get(id.toLowerCase());
+      if (j === undefined || Number.isNaN(previousValues[j])) continue;
+      if (crossing(previousValues[j], value, rule.value)) hits.push({ index: i, value: value, previous_value: previousValues[j] });
+    } else if (FILTER_OPERATORS[rule.condition](value, rule.value)) {
+      matching.push(id);
+      if (wasMatching && !wasMatching.has(id)) hits.push({ index: i, value: value, previous_value: null });
+    }
+  }
+
+  // Không có coin mới thỏa và số coin không đổi thì tập coin đang thỏa không đổi
+  let changed = hits.length > 0;
+  if (!crossing) {
+    changed = changed || !wasMatching || matching.length !== wasMatching.size;
+    alertMatching.set(rule.id, new Set(matching));
+    rule.state = {
+      matching: matching.slice(0, ALERT_MATCHING_MAX),
+      matching_count: matching.length,
+      matching_truncated: matching.length > ALERT_MATCHING_MAX
+    };
+  }
+  const events = hits.slice(0, ALERT_MAX_EVENTS_PER_RULE).map(hit => createAlertEvent(rule, store.coins[hit.index], hit));
+  return { events, suppressed: hits.length - events.length, changed };
+}
+
+function createAlertEvent(rule, coin, hit) {
+  const state = getAlertState();
+  const triggeredAt = new Date().toISOString();
+  rule.trigger_count++;
+  rule.last_triggered_at = triggeredAt;
+  return {
+    id: state.next_event_id++,
+    rule_id: rule.id,
+    rule_name: rule.name,
+    coin: { id: coin.id, symbol: coin.symbol, name: coin.name },
+    metric: rule.metric,
+    condition: rule.condition,
+    threshold: rule.value,
+    value: hit.value,
+    previous_value: hit.previous_value,
+    dataset_version: datasetInfo.version,
+    triggered_at: triggeredAt,
+    webhook: ALERT_WEBHOOK_URL ? { status: "pending", response_status: null, error: null } : null
+  };
+}
+
+// Helper: Lưu các cảnh báo mới (giữ ALERT_EVENTS_MAX cái gần nhất) rồi xếp 1 batch webhook vào hàng đợi
+function recordAlertEvents(events) {
+  const state = getAlertState();
+  state.events.push(...events);
+  if (state.events.length > ALERT_EVENTS_MAX) state.events = state.events.slice(-ALERT_EVENTS_MAX);
+  saveAlertState();
+
+  // Cảnh báo bị cắt khỏi danh sách thì cũng không gửi
+  const batch = events.slice(-ALERT_EVENTS_MAX).filter(event => event.webhook);
+  if (batch.length === 0) return;
+  alertWebhookQueue = alertWebhookQueue
+    .then(() => deliverAlertWebhook(batch))
+    .catch(err => console.error("Error delivering alert webhook:", err));
+}
+
+// POST { alerts: [event, ...] } tới webhook, ghi lại kết quả vào từng event (không retry)
+async function deliverAlertWebhook(events) {
+  const result = { status: "failed", response_status: null, error: null };
+  try {
+    const response = await fetch(ALERT_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ alerts: events.map(({ webhook, ...payload }) => payload) }),
+      signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS)
+    });
+    result.status = response.ok ? "delivered" : "failed";
+    result.response_status = response.status;
+  } catch (err) {
+    result.error = err.message;
+  }
+  for (const event of events) Object.assign(event.webhook, result);
+  saveAlertState();
+}
+
+// Đánh giá mọi rule sau mỗi lần load dataset (previous: snapshot trước đó, null nếu là lần load đầu)
+function evaluateAlerts(previous, store) {
+  const state = getAlertState();
+  if (state.rules.length === 0) return;
+  const events = [];
+  let suppressed = 0;
+  let changed = false;
+  for (const rule of state.rules) {
+    const result = evaluateAlertRule(rule, store, previous);
+    events.push(...result.events);
+    suppressed += result.suppressed;
+    changed = changed || result.changed;
+  }
+  // Không có cảnh báo mới thì chỉ ghi file khi state.matching của rule nào đó đã đổi
+  if (!changed) return;
+  recordAlertEvents(events);
+  if (events.length > 0) console.log(`🔔 ${events.length} alert(s) triggered${suppressed > 0 ? ` (${suppressed} suppressed)` : ""}`);
+}
+
+// ===== Watchlist & portfolio =====
+
+const WATCHLIST_FIELDS = ["name", "coins"];
+const PORTFOLIO_FIELDS = ["name", "holdings"];
+const HOLDING_FIELDS = ["coin", "quantity", "cost_basis"];
+const MAX_SAVED_COINS = 500; // số coin tối đa trong một watchlist / portfolio
+
+function getWatchlistState() {
+  if (!watchlistState) watchlistState = readStateFile(WATCHLISTS_PATH, { next_id: 1, watchlists: [] });
+  return watchlistState;
+}
+
+function saveWatchlistState() {
+  writeStateFile(WATCHLISTS_PATH, watchlistState);
+}
+
+function getPortfolioState() {
+  if (!portfolioState) portfolioState = readStateFile(PORTFOLIOS_PATH, { next_id: 1, portfolios: [] });
+  return portfolioState;
+}
+
+function savePortfolioState() {
+  writeStateFile(PORTFOLIOS_PATH, portfolioState);
+}
+
+// Helper: Tìm watchlist / portfolio theo id trong URL (404 nếu không có)
+function findSavedItem(items, id, label) {
+  const item = items.find(entry => String(entry.id) === id);
+  if (!item) throw new ApiError(404, "not_found", `${label} not found: ${id}`);
+  return item;
+}
+
+// Helper: Tên không được trùng với watchlist / portfolio khác (không phân biệt hoa thường) -> 409
+function assertUniqueName(items, name, currentId, label) {
+  const key = name.toLowerCase();
+  if (items.some(item => item.id !== currentId && item.name.toLowerCase() === key)) {
+    throw new ApiError(409, "conflict", `A ${label} named "${name}" already exists`);
+  }
+}
+
+// Helper: Validate name (chuỗi 1 - 100 ký tự, bỏ khoảng trắng đầu cuối)
+function parseSavedName(value, fail) {
+  if (typeof value !== "string" || !value.trim() || value.trim().length > 100) {
+    fail("name", value === undefined ? "missing_field" : "invalid_value", "must be a non-empty string of at most 100 characters");
+    return undefined;
+  }
+  return value.trim();
+}
+
+// Helper: id hoặc symbol -> id trong dataset. Coin đã lưu trước đó (saved) vẫn được giữ dù đã biến mất khỏi dataset
+// (trả về null nếu không tìm thấy)
+function resolveSavedCoin(value, store, saved) {
+  if (typeof value !== "string") return null;
+  const index = findCoinIndex(store, value);
+  if (index !== -1) return store.coins[index].id;
+  const key = value.trim().toLowerCase();
+  return saved.find(id => id.toLowerCase() === key) || null;
+}
+
+// Helper: Validate body watchlist. existing = watchlist đang sửa (PATCH: chỉ đổi các field được gửi)
+//   - name: bắt buộc khi tạo
+//   - coins: danh sách id hoặc symbol (trùng thì bỏ qua), default: []
+function parseWatchlistBody(body, store, existing = null) {
+  const { errors, fail } = validateBody(body, WATCHLIST_FIELDS);
+  const update = {};
+
+  if (body.name !== undefined || !existing) update.name = parseSavedName(body.name, fail);
+  if (body.coins !== undefined) {
+    if (!Array.isArray(body.coins) || body.coins.length > MAX_SAVED_COINS) {
+      fail("coins", "invalid_value", `must be an array of at most ${MAX_SAVED_COINS} coin ids or symbols`);
+    } else {
+      update.coins = [];
+      body.coins.forEach((value, i) => {
+        const id = resolveSavedCoin(value, store, existing ? existing.coins : []);
+        if (id === null) fail(`coins[${i}]`, "not_found", `not found: ${value}`, { suggestions: suggestCoins(store, value) });
+        else if (!update.coins.includes(id)) update.coins.push(id);
+      });
+    }
+  } else if (!existing) {
+    update.coins = [];
+  }
+
+  if (errors.length > 0) throw new ApiError(400, "invalid_body", "Invalid watchlist", errors);
+  return update;
+}
+
+// Helper: Validate body portfolio. existing = portfolio đang sửa (PATCH: chỉ đổi các field được gửi)
+//   - name: bắt buộc khi tạo
+//   - holdings: [{ coin (id hoặc symbol), quantity (> 0), cost_basis (tổng tiền đã bỏ ra, >= 0, tùy chọn) }],
+//     mỗi coin chỉ xuất hiện một lần, default: []
+function parsePortfolioBody(body, store, existing = null) {
+  const { errors, fail } = validateBody(body, PORTFOLIO_FIELDS);
+  const update = {};
+
+  if (body.name !== undefined || !existing) update.name = parseSavedName(body.name, fail);
+  if (body.holdings !== undefined) {
+    if (!Array.isArray(body.holdings) || body.holdings.length > MAX_SAVED_COINS) {
+      fail("holdings", "invalid_value", `must be an array of at most ${MAX_SAVED_COINS} holdings`);
+    } else {
+      const saved = existing ? existing.holdings.map(holding => holding.coin) : [];
+      update.holdings = [];
+      body.holdings.forEach((holding, i) => {
+        const field = `holdings[${i}]`;
+        if (!holding || typeof holding !== "object" || Array.isArray(holding)) {
+          fail(field, "invalid_value", "must be an object with coin, quantity and cost_basis");
+          return;
+        }
+        for (const key of Object.keys(holding)) {
+          if (!HOLDING_FIELDS.includes(key)) fail(`${field}.${key}`, "unknown_field", "is not a holding field");
+        }
+
+        const coin = resolveSavedCoin(holding.coin, store, saved);
+        if (coin === null) {
+          fail(`${field}.coin`, holding.coin === undefined ? "missing_field" : "not_found", `not found: ${holding.coin}`,
+            { suggestions: suggestCoins(store, holding.coin) });
+        } else if (update.holdings.some(other => other.coin === coin)) {
+          fail(`${field}.coin`, "duplicate", `appears more than once: ${coin}`);
+        }
+        if (typeof holding.quantity !== "number" || !Number.isFinite(holding.quantity) || holding.quantity <= 0) {
+          fail(`${field}.quantity`, holding.quantity === undefined ? "missing_field" : "invalid_value", "must be a number > 0");
+        }
+        const costBasis = holding.cost_basis === undefined ? null : holding.cost_basis;
+        if (costBasis !== null && (typeof costBasis !== "number" || !Number.isFinite(costBasis) || costBasis < 0)) {
+          fail(`${field}.cost_basis`, "invalid_value", "must be a number >= 0 or null");
+        }
+        update.holdings.push({ coin: coin, quantity: holding.quantity, cost_basis: costBasis });
+      });
+    }
+  } else if (!existing) {
+    update.holdings = [];
+  }
+
+  if (errors.length > 0) throw new ApiError(400, "invalid_body", "Invalid portfolio", errors);
+  return update;
+}
+
+// Helper: Watchlist kèm dữ liệu hiện tại của từng coin; coin không còn trong dataset trả về { id, missing: true }
+function formatWatchlist(watchlist, store, withCoins) {
+  const entries = watchlist.coins.map(id => {
+    const index = store.byId.get(id.toLowerCase());
+    if (index === undefined) return { id: id, missing: true };
+    const coin = store.coins[index];
+    return {
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      image: coin.image,
+      market_cap_rank: coin.market_cap_rank,
+      current_price: coin.current_price,
+      market_cap: coin.market_cap,
+      total_volume: coin.total_volume,
+      price_change_percentage_24h: coin.price_change_percentage_24h,
+      missing: false
+    };
+  });
+
+  return {
+    id: watchlist.id,
+    name: watchlist.name,
+    coin_count: entries.length,
+    missing_count: entries.filter(entry => entry.missing).length,
+    created_at: watchlist.created_at,
+    updated_at: watchlist.updated_at,
+    ...(withCoins ? { coins: entries } : {})
+  };
+}
+
+// Helper: Định giá portfolio theo current_price của dataset hiện tại.
+// Holding có coin không còn trong dataset (missing) hoặc không có giá (no_price) không được tính vào giá trị,
+// P&L và tỉ trọng; cost basis của chúng được báo riêng trong summary.unvalued.
+function valuePortfolio(portfolio, store) {
+  const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+  const pct = (numerator, denominator) => (denominator > 0 ? parseFloat(((numerator / denominator) * 100).toFixed(4)) : null);
+
+  const rows = portfolio.holdings.map(holding => {
+    const index = store.byId.get(holding.coin.toLowerCase());
+    const coin = index === undefined ? null : store.coins[index];
+    const price = coin ? coin.current_price : null;
+    const status = !coin ? "missing" : price === null ? "no_price" : "ok";
+    const value = status === "ok" ? holding.quantity * price : null;
+    return {
+      holding: holding,
+      coin: coin,
+      status: status,
+      price: price,
+      value: value,
+      pnl: value !== null && holding.cost_basis !== null ? value - holding.cost_basis : null,
+      pnl24h: value !== null && coin.price_change_24h !== null ? holding.quantity * coin.price_change_24h : null
+    };
+  });
+
+  const valued = rows.filter(row => row.value !== null);
+  const unvalued = rows.filter(row => row.value === null);
+  const withCost = valued.filter(row => row.pnl !== null);
+  const with24h = valued.filter(row => row.pnl24h !== null);
+  const totalValue = sum(valued, "value");
+  const costBasis = withCost.reduce((total, row) => total + row.holding.cost_basis, 0);
+  const pnl = sum(withCost, "pnl");
+  const pnl24h = sum(with24h, "pnl24h");
+  const valueBefore24h = with24h.reduce((total, row) => total + row.value - row.pnl24h, 0);
+
+  // Herfindahl-Hirschman Index theo tỉ trọng (%) như /api/market/overview
+  const weights = valued.map(row => (totalValue > 0 ? (row.value / totalValue) * 100 : null));
+  const hhi = totalValue > 0 ? weights.reduce((total, weight) => total + weight * weight, 0) : null;
+  const largest = totalValue > 0 ? valued.reduce((best, row) => (row.value > best.value ? row : best)) : null;
+
+  return {
+    holdings: rows.map(row => ({
+      coin: row.holding.coin,
+      symbol: row.coin ? row.coin.symbol : null,
+      name: row.coin ? row.coin.name : null,
+      status: row.status,
+      quantity: row.holding.quantity,
+      cost_basis: row.holding.cost_basis,
+      price: row.price,
+      value: row.value,
+      weight: row.value !== null ? pct(row.value, totalValue) : null,
+      unrealized_pnl: row.pnl,
+      unrealized_pnl_percentage: row.pnl !== null ? pct(row.pnl, row.holding.cost_basis) : null,
+      pnl_24h: row.pnl24h,
+      pnl_24h_percentage: row.pnl24h !== null ? pct(row.pnl24h, row.value - row.pnl24h) : null
+    })),
+    summary: {
+      holding_count: rows.length,
+      valued_count: valued.length,
+      total_value: totalValue,
+      cost_basis: costBasis,
+      unrealized_pnl: pnl,
+      unrealized_pnl_percentage: pct(pnl, costBasis),
+      pnl_24h: pnl24h,
+      pnl_24h_percentage: pct(pnl24h, valueBefore24h),
+      unvalued: {
+        count: unvalued.length,
+        coins: unvalued.map(row => ({ coin: row.holding.coin, status: row.status })),
+        cost_basis: unvalued.reduce((total, row) => total + (row.holding.cost_basis || 0), 0)
+      },
+      concentration: {
+        hhi: hhi === null ? null : parseFloat(hhi.toFixed(2)),
+        hhi_normalized: hhi === null ? null : valued.length > 1
+          ? parseFloat(((hhi / 10000 - 1 / valued.length) / (1 - 1 / valued.length)).toFixed(4))
+          : 1,
+        effective_holdings: hhi ? parseFloat((10000 / hhi).toFixed(2)) : null,
+        largest: largest ? { coin: largest.holding.coin, weight: pct(largest.value, totalValue) } : null
+      }
+    }
+  };
+}
+
+// Endpoint: /api/coins - Danh sách coin (phân trang, tìm kiếm, sắp xếp, lọc theo khoảng, chọn cột)
+// Query params:
+//   - page, limit (max: 250), search: tìm theo name/symbol/id
+//   - sort: danh sách column:asc|desc, cách nhau bằng dấu phẩy (vd: market_cap:desc,current_price:asc)
+//   - <column>_<gt|gte|lt|lte|eq|ne>: lọc numeric (vd: market_cap_gte=1e9&price_change_percentage_24h_lt=0)
+//   - <column>_null: true (chỉ lấy dòng null) | false (bỏ dòng null)
+//   - nulls: first | last (vị trí giá trị null khi sort, default: last) | exclude (bỏ dòng null ở cột sort)
+//   - fields: danh sách cột cần trả về (vd: id,symbol,market_cap)
+//   - exclude_anomalies: none | low | medium | high - bỏ coin bị /api/anomalies gắn cờ từ mức này trở lên (default: none)
+app.get("/api/coins", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const { options, params } = parseCoinQuery(req.query, PAGINATION_PARAMS);
+  const { page, limit } = params;
+
+  const filteredCoins = queryCoins(getStoreExcludingAnomalies(params.exclude_anomalies), options);
+
+  const totalCoins = filteredCoins.length;
+  const startIndex = (page - 1) * limit;
+  const endIndex = startIndex + limit;
+  const paginatedCoins = filteredCoins
+    .slice(startIndex, endIndex)
+    .map(coin => projectFields(coin, options.fields));
+
+  res.json({
+    success: true,
+    pagination: {
+      page: page,
+      limit: limit,
+      total: totalCoins,
+      total_pages: Math.ceil(totalCoins / limit),
+      has_next: endIndex < totalCoins,
+      has_prev: page > 1
+    },
+    count: paginatedCoins.length,
+    data: paginatedCoins
+  });
+});
+
+// Endpoint: /api/coins/export - Xuất danh sách coin đã chuẩn hóa ra file (nhận cùng filter/sort/fields như /api/coins)
+// Query params:
+//   - format: csv | tsv | jsonl (default: csv)
+//   - search, sort, nulls, fields, exclude_anomalies, <column>_<op>: giống /api/coins
+app.get("/api/coins/export", async (req, res) => {
+  await ensureLoaded();
+
+  const { options, params } = parseCoinQuery(req.query, { format: EXPORT_FORMAT_PARAM });
+  const format = params.format;
+
+  // Record đã chuẩn hóa sẵn trong store, chỉ serialize từng dòng khi ghi ra response
+  setExportHeaders(res, "coins", format);
+  const store = getStoreExcludingAnomalies(params.exclude_anomalies);
+  await streamExport(res, format, options.fields || COIN_COLUMNS, queryCoins(store, options));
+});
+
+const HISTORY_PARAMS = {
+  from: { type: "string", format: "date-time" },
+  to: { type: "string", format: "date-time" },
+  interval: { type: "string", format: "interval", default: "1d" }
+};
+
+// Endpoint: /api/coins/:id/history - Chuỗi thời gian price, market_cap, total_volume từ các snapshot
+// Query params:
+//   - from, to: khoảng thời gian (ISO date hoặc epoch ms)
+//   - interval: độ dài mỗi khoảng gộp OHLC (vd: 1h, 1d, 1w; "raw" = không gộp, mặc định: 1d)
+app.get("/api/coins/:id/history", async (req, res) => {
+  await ensureHistoryLoaded();
+
+  const id = String(req.params.id || "").trim();
+  const { from, to, interval: intervalMs } = parseQuery(req.query, HISTORY_PARAMS);
+  const intervalParam = String(req.query.interval || "").trim() || "1d";
+
+  const points = coinHistory.get(id);
+  if (!points) {
+    throw new ApiError(404, "not_found", `No history found for coin: ${id}`);
+  }
+
+  const inRange = points.filter(p =>
+    (from === undefined || p.t >= from) && (to === undefined || p.t <= to)
+  );
+
+  // Gom điểm theo bucket (căn theo mốc UTC), "raw" thì mỗi điểm là một bucket
+  const buckets = [];
+  for (const point of inRange) {
+    const start = intervalMs > 0 ? Math.floor(point.t / intervalMs) * intervalMs : point.t;
+    const last = buckets[buckets.length - 1];
+    if (last && last.start === start) {
+      last.points.push(point);
+    } else {
+      buckets.push({ start, points: [point] });
+    }
+  }
+
+  const data = buckets.map(bucket => ({
+    time: new Date(bucket.start).toISOString(),
+    samples: bucket.points.length,
+    price: ohlc(bucket.points.map(p => p.price)),
+    market_cap: ohlc(bucket.points.map(p => p.market_cap)),
+    total_volume: ohlc(bucket.points.map(p => p.total_volume))
+  }));
+
+  res.json({
+    success: true,
+    id: id,
+    interval: intervalParam,
+    from: inRange.length > 0 ? new Date(inRange[0].t).toISOString() : null,
+    to: inRange.length > 0 ? new Date(inRange[inRange.length - 1].t).toISOString() : null,
+    total_points: inRange.length,
+    count: data.length,
+    data: data
+  });
+});
+
+const COIN_DETAIL_PARAMS = {
+  neighbors: { type: "integer", minimum: 0, maximum: 10, default: 2 }
+};
+
+// Endpoint: /api/coins/:idOrSymbol - Chi tiết một coin kèm chỉ số phái sinh, percentile rank và các coin xếp hạng lân cận
+// Query params:
+//   - neighbors: số coin lân cận mỗi phía theo market_cap_rank (default: 2, max: 10)
+app.get("/api/coins/:idOrSymbol", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const query = req.params.idOrSymbol;
+  const { neighbors: neighborCount } = parseQuery(req.query, COIN_DETAIL_PARAMS);
+  const store = coinStore;
+  const index = findCoinIndex(store, query);
+
+  if (index === -1) {
+    throw new ApiError(404, "not_found", `Coin not found: ${query}`, { suggestions: suggestCoins(store, query) });
+  }
+
+  const coin = store.coins[index];
+  const derived = deriveCoinMetrics(coin);
+
+  // Percentile rank của từng chỉ số trong toàn bộ dataset
+  const percentiles = {};
+  for (const field of [...NUMERIC_FIELDS, ...DERIVED_FIELDS]) {
+    const value = field in derived ? derived[field] : coin[field];
+    const rank = percentileRank(getSortedValues(store, field), value);
+    percentiles[field] = rank === null ? null : parseFloat(rank.toFixed(2));
+  }
+
+  // Coin lân cận theo market_cap_rank
+  const summarize = (c) => ({
+    id: c.id,
+    symbol: c.symbol,
+    name: c.name,
+    market_cap_rank: c.market_cap_rank,
+    market_cap: c.market_cap,
+    current_price: c.current_price
+  });
+  const ranked = getSortedOrder(store, "market_cap_rank");
+  const position = ranked.indexOf(index);
+  const neighborsOf = (from, to) => Array.from(ranked.subarray(Math.max(0, from), Math.max(0, to)), i => summarize(store.coins[i]));
+  const neighbors = {
+    above: position >= 0 ? neighborsOf(position - neighborCount, position) : [],
+    below: position >= 0 ? neighborsOf(position + 1, position + 1 + neighborCount) : []
+  };
+
+  res.json({
+    success: true,
+    data: {
+      ...coin,
+      derived: derived,
+      percentiles: percentiles,
+      neighbors: neighbors
+    }
+  });
+});
+
+// Chỉ số dùng để so sánh coin và hướng "tốt hơn" (higher | lower) để chọn winner
+const COMPARE_METRICS = {
+  market_cap: "higher",
+  market_cap_rank: "lower",
+  fully_diluted_valuation: "higher",
+  total_volume: "higher",
+  price_change_percentage_24h: "higher",
+  market_cap_change_percentage_24h: "higher",
+  ath_change_percentage: "higher", // càng gần 0 càng sát ATH
+  atl_change_percentage: "higher",
+  supply_ratio: "higher", // càng gần 1 càng ít supply chưa mở khóa
+  fdv_to_market_cap: "lower",
+  turnover: "higher"
+};
+const COMPARE_PARAMS = {
+  ids: { type: "array", items: { type: "string" }, minItems: 2, maxItems: 10, required: true },
+  metrics: {
+    type: "array", items: { type: "string", enum: Object.keys(COMPARE_METRICS), errorCode: "unknown_column" }, minItems: 1,
+    default: Object.keys(COMPARE_METRICS)
+  }
+};
+
+// Helper: So sánh value với mốc (coin đầu tiên hoặc median): chênh lệch và tỉ lệ value / mốc
+function compareTo(value, reference) {
+  if (value === null || reference === null) return { difference: null, ratio: null };
+  const ratio = safeRatio(value, reference);
+  return { difference: roundStat(value - reference), ratio: ratio === null ? null : roundStat(ratio) };
+}
+
+// Endpoint: /api/compare - So sánh nhiều coin cạnh nhau (so với coin đầu tiên, median dataset, winner, radar chart)
+// Query params:
+//   - ids: danh sách id hoặc symbol cách nhau bằng dấu phẩy (2 - 10 coin, coin đầu tiên làm mốc)
+//   - metrics: các chỉ số cần so sánh (default: tất cả trong COMPARE_METRICS)
+app.get("/api/compare", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const { ids, metrics } = parseQuery(req.query, COMPARE_PARAMS);
+  const store = coinStore;
+
+  const indexes = [];
+  const missing = [];
+  for (const id of ids) {
+    const index = findCoinIndex(store, id);
+    if (index === -1) missing.push({ id: id, suggestions: suggestCoins(store, id) });
+    else if (!indexes.includes(index)) indexes.push(index);
+  }
+  if (missing.length > 0) {
+    throw new ApiError(404, "not_found", `Coins not found: ${missing.map(m => m.id).join(", ")}`, { missing: missing });
+  }
+  if (indexes.length < 2) {
+    throw invalidQuery([{ param: "ids", code: "invalid_value", message: "ids must refer to at least 2 different coins" }]);
+  }
+
+  // Median của từng chỉ số trên toàn dataset
+  const medians = {};
+  for (const metric of metrics) {
+    const values = getSortedValues(store, metric);
+    medians[metric] = values.length > 0 ? percentile(values, 50) : null;
+  }
+
+  const coins = indexes.map(index => {
+    const coin = store.coins[index];
+    const derived = deriveCoinMetrics(coin);
+    const values = {};
+    const percentiles = {};
+    for (const metric of metrics) {
+      values[metric] = metric in derived ? derived[metric] : coin[metric];
+      const rank = percentileRank(getSortedValues(store, metric), values[metric]);
+      percentiles[metric] = rank === null ? null : parseFloat(rank.toFixed(2));
+    }
+    return { coin, values, percentiles };
+  });
+
+  const base = coins[0];
+  const data = coins.map(({ coin, values, percentiles }) => {
+    const metricsData = {};
+    for (const metric of metrics) {
+      metricsData[metric] = {
+        value: values[metric],
+        percentile: percentiles[metric],
+        vs_base: compareTo(values[metric], base.values[metric]),
+        vs_median: compareTo(values[metric], medians[metric])
+      };
+    }
+    return {
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      image: coin.image,
+      market_cap_rank: coin.market_cap_rank,
+      current_price: coin.current_price,
+      metrics: metricsData
+    };
+  });
+
+  // Winner: coin có giá trị tốt nhất theo hướng của chỉ số (bỏ qua null; bằng nhau thì lấy coin đứng trước)
+  const winners = {};
+  for (const metric of metrics) {
+    const sign = COMPARE_METRICS[metric] === "higher" ? 1 : -1;
+    let best = null;
+    for (const { coin, values } of coins) {
+      if (values[metric] === null) continue;
+      if (best === null || sign * (values[metric] - best.value) > 0) best = { id: coin.id, value: values[metric] };
+    }
+    winners[metric] = best;
+  }
+
+  // Radar chart: điểm = percentile rank, đảo chiều với chỉ số "lower" để ra ngoài luôn là tốt hơn
+  const radar = {
+    axes: metrics.map(metric => ({ metric: metric, direction: COMPARE_METRICS[metric] })),
+    series: coins.map(({ coin, percentiles }) => ({
+      id: coin.id,
+      label: (coin.symbol || coin.id).toUpperCase(),
+      scores: metrics.map(metric => {
+        const score = percentiles[metric];
+        if (score === null) return null;
+        return COMPARE_METRICS[metric] === "higher" ? score : parseFloat((100 - score).toFixed(2));
+      })
+    }))
+  };
+
+  res.json({
+    success: true,
+    base: base.coin.id,
+    metrics: metrics,
+    count: data.length,
+    medians: medians,
+    winners: winners,
+    data: data,
+    radar: radar
+  });
+});
+
+// Các cột tính bằng tiền (label có dấu $)
+const CURRENCY_FIELDS = [
+  "current_price", "market_cap", "fully_diluted_valuation", "total_volume", "high_24h", "low_24h",
+  "price_change_24h", "market_cap_change_24h", "ath", "atl"
+];
+
+// Cột có giá trị âm / 0 có nghĩa (thay đổi, % so với ATH/ATL): trục log dùng symlog.
+// Các cột còn lại chỉ dương; giá trị <= 0 ở đó là thiếu dữ liệu (vd: market_cap = 0) nên bị loại khỏi trục log.
+const SIGNED_FIELDS = [
+  "price_change_24h", "price_change_percentage_24h", "market_cap_change_24h", "market_cap_change_percentage_24h",
+  "ath_change_percentage", "atl_change_percentage"
+];
+
+const HISTOGRAM_SCALES = ["linear", "log"];
+const HISTOGRAM_METHODS = ["fixed", "sturges", "freedman-diaconis", "quantile"];
+const HISTOGRAM_PARAMS = {
+  column: {
+    type: "string", enum: NUMERIC_FIELDS, errorCode: "unknown_column", default: "market_cap",
+    description: "Numeric column to bin"
+  },
+  scale: {
+    type: "string", enum: HISTOGRAM_SCALES, default: "log",
+    description: "Bin on a log axis or a linear axis. On the log axis, signed columns (changes, ATH/ATL %) use symlog; other columns drop values <= 0"
+  },
+  method: {
+    type: "string", enum: HISTOGRAM_METHODS, default: "fixed",
+    description: "fixed uses `bins` equal-width bins; sturges and freedman-diaconis pick the bin count; quantile makes equal-count bins"
+  },
+  bins: { type: "integer", minimum: 5, maximum: 100, default: 20, description: "Bin count for method=fixed and quantile" },
+  kde: { type: "boolean", default: false, description: "Also return a Gaussian kernel density estimate" },
+  kde_points: { type: "integer", minimum: 10, maximum: 500, default: 100, description: "Number of points on the KDE curve" },
+  exclude_anomalies: EXCLUDE_ANOMALIES_PARAM
+};
+
+// Helper: symlog = sign(x) * log10(1 + |x|): giống log10 khi |x| lớn nhưng giữ được giá trị âm / 0
+const symlog = (val) => Math.sign(val) * Math.log10(1 + Math.abs(val));
+const inverseSymlog = (val) => Math.sign(val) * (Math.pow(10, Math.abs(val)) - 1);
+
+// Helper: Hàm biến đổi theo scale. log mà có giá trị <= 0 thì dùng symlog
+function getScaleTransform(scale, hasNonPositive) {
+  if (scale === "linear") {
+    return { name: "linear", forward: x => x, inverse: y => y };
+  }
+  if (hasNonPositive) {
+    return { name: "symlog", forward: symlog, inverse: inverseSymlog };
+  }
+  return { name: "logarithmic", forward: x => Math.log10(x), inverse: y => Math.pow(10, y) };
+}
+
+// Helper: Làm tròn số thống kê (số nhỏ giữ 4 chữ số có nghĩa thay vì 2 chữ số thập phân)
+function roundStat(value) {
+  if (!Number.isFinite(value)) return null;
+  return Math.abs(value) >= 1 || value === 0
+    ? parseFloat(value.toFixed(2))
+    : parseFloat(value.toPrecision(4));
+}
+
+// Helper: Thống kê mô tả (mean, std dev mẫu, skewness, excess kurtosis, percentile)
+function describeValues(sortedValues) {
+  const n = sortedValues.length;
+  const mean = sortedValues.reduce((a, b) => a + b, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  for (const value of sortedValues) {
+    const d = value - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  }
+  m2 /= n;
+  m3 /= n;
+  m4 /= n;
+
+  return {
+    count: n,
+    min: sortedValues[0],
+    max: sortedValues[n - 1],
+    mean: mean,
+    median: percentile(sortedValues, 50),
+    std_dev: n > 1 ? Math.sqrt((m2 * n) / (n - 1)) : 0,
+    skewness: m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0,
+    kurtosis: m2 > 0 ? m4 / (m2 * m2) - 3 : 0,
+    p5: percentile(sortedValues, 5),
+    p25: percentile(sortedValues, 25),
+    p75: percentile(sortedValues, 75),
+    p95: percentile(sortedValues, 95)
+  };
+}
+
+// Helper: Tính các mốc bin (trong không gian đã biến đổi) theo method
+function computeBinEdges(sortedValues, method, fixedBins) {
+  const n = sortedValues.length;
+  const min = sortedValues[0];
+  const max = sortedValues[n - 1];
+  if (max === min) return [min, max]; // tất cả giá trị giống nhau -> 1 bin
+
+  if (method === "quantile") {
+    const edges = [];
+    for (let i = 0; i <= fixedBins; i++) {
+      const edge = percentile(sortedValues, (i / fixedBins) * 100);
+      if (edges.length === 0 || edge > edges[edges.length - 1]) edges.push(edge);
+    }
+    return edges;
+  }
+
+  let bins = fixedBins;
+  if (method === "sturges") {
+    bins = Math.ceil(Math.log2(n)) + 1;
+  } else if (method === "freedman-diaconis") {
+    const iqr = percentile(sortedValues, 75) - percentile(sortedValues, 25);
+    const width = (2 * iqr) / Math.cbrt(n);
+    bins = width > 0 ? Math.ceil((max - min) / width) : Math.ceil(Math.log2(n)) + 1;
+  }
+  bins = Math.min(100, Math.max(1, bins));
+
+  const size = (max - min) / bins;
+  return Array.from({ length: bins + 1 }, (_, i) => (i === bins ? max : min + i * size));
+}
+
+// Helper: Gaussian KDE (bandwidth theo Silverman) trên không gian đã biến đổi
+function computeKde(sortedValues, points) {
+  const n = sortedValues.length;
+  const stats = describeValues(sortedValues);
+  const iqr = stats.p75 - stats.p25;
+  const spread = Math.min(stats.std_dev, iqr / 1.34) || stats.std_dev || 1;
+  const bandwidth = 0.9 * spread * Math.pow(n, -0.2);
+  const lo = stats.min - 3 * bandwidth;
+  const hi = stats.max + 3 * bandwidth;
+  const step = (hi - lo) / (points - 1);
+  const norm = 1 / (n * bandwidth * Math.sqrt(2 * Math.PI));
+
+  const curve = [];
+  for (let i = 0; i < points; i++) {
+    const x = lo + i * step;
+    let density = 0;
+    for (const value of sortedValues) {
+      const u = (x - value) / bandwidth;
+      density += Math.exp(-0.5 * u * u);
+    }
+    curve.push({ x, density: density * norm });
+  }
+  return { bandwidth, curve };
+}
+
+// Endpoint: /api/histogram - Trả về dữ liệu histogram của một cột numeric
+// Query params:
+//   - column: cột numeric (default: market_cap)
+//   - scale: linear | log (default: log; cột có dấu (SIGNED_FIELDS) dùng symlog, cột khác bỏ giá trị <= 0 và báo số dòng bị bỏ)
+//   - method: fixed | sturges | freedman-diaconis | quantile (default: fixed)
+//   - bins: số khoảng cho fixed/quantile (mặc định: 20)
+//   - kde: true để trả thêm đường KDE, kde_points: số điểm (default: 100)
+//   - exclude_anomalies: none | low | medium | high (xem /api/coins)
+function buildHistogram(params) {
+  const { column, scale, method, bins, kde: withKde, kde_points: kdePoints } = params;
+
+  // Lấy tất cả giá trị hợp lệ của cột; trục log của cột chỉ dương thì bỏ giá trị <= 0 (mảng đã sắp tăng dần)
+  const allValues = getSortedValues(getStoreExcludingAnomalies(params.exclude_anomalies), column);
+  const dropNonPositive = scale === "log" && !SIGNED_FIELDS.includes(column);
+  const values = dropNonPositive ? allValues.slice(bisect(allValues, 0, false)) : allValues;
+  const excludedNonPositive = allValues.length - values.length;
+
+  if (values.length === 0) {
+    return {
+      success: true,
+      message: `No valid ${column} data`,
+      column: column,
+      excluded_non_positive: excludedNonPositive,
+      histogram: [],
+      statistics: {
+        count: 0,
+        min: 0,
+        max: 0,
+        mean: 0,
+        median: 0
+      }
+    };
+  }
+
+  const transform = getScaleTransform(scale, values[0] <= 0);
+  const transformed = values.map(transform.forward); // vẫn tăng dần vì transform đơn điệu
+  const edges = computeBinEdges(transformed, method, bins);
+  const binCount = edges.length - 1;
+  const total = values.length;
+  const currency = CURRENCY_FIELDS.includes(column) ? "$" : "";
+  const isLinear = transform.name === "linear";
+
+  // Tạo histogram bins
+  const histogram = Array(binCount).fill(0).map((_, i) => {
+    const start = transform.inverse(edges[i]);
+    const end = transform.inverse(edges[i + 1]);
+
+    return {
+      bin: i + 1,
+      label: `${currency}${start.toExponential(1)} - ${currency}${end.toExponential(1)}`,
+      range: `${formatNumber(start)} - ${formatNumber(end)}`,
+      start: roundStat(start),
+      end: roundStat(end),
+      logStart: isLinear ? null : parseFloat(edges[i].toFixed(2)),
+      logEnd: isLinear ? null : parseFloat(edges[i + 1].toFixed(2)),
+      count: 0,
+      percentage: 0,
+      color: getColor(i, binCount)
+    };
+  });
+
+  // Đếm giá trị rơi vào từng bin (bin cuối bao gồm cả mốc max)
+  for (const value of transformed) {
+    const binIndex = Math.min(binCount - 1, Math.max(0, bisect(edges, value, false) - 1));
+    histogram[binIndex].count++;
+  }
+
+  // Tính percentage và tối ưu hóa dữ liệu
+  let maxCount = 0;
+  for (const bin of histogram) {
+    bin.percentage = parseFloat(((bin.count / total) * 100).toFixed(2));
+    maxCount = Math.max(maxCount, bin.count);
+  }
+
+  // Tính statistics
+  const stats = describeValues(values);
+
+  const result = {
+    success: true,
+    column: column,
+    statistics: {
+      count: total,
+      min: roundStat(stats.min),
+      max: roundStat(stats.max),
+      mean: roundStat(stats.mean),
+      median: roundStat(stats.median),
+      range: roundStat(stats.max - stats.min),
+      maxCount: maxCount,
+      std_dev: roundStat(stats.std_dev),
+      skewness: parseFloat(stats.skewness.toFixed(4)),
+      kurtosis: parseFloat(stats.kurtosis.toFixed(4)),
+      p5: roundStat(stats.p5),
+      p25: roundStat(stats.p25),
+      p75: roundStat(stats.p75),
+      p95: roundStat(stats.p95)
+    },
+    bins_count: binCount,
+    method: method,
+    scale: transform.name,
+    excluded_non_positive: excludedNonPositive,
+    histogram: histogram.filter(bin => bin.count > 0)
+  };
+
+  if (withKde) {
+    // Density tính trên trục đã biến đổi (log/symlog) để khớp với độ rộng bin
+    const kde = computeKde(transformed, kdePoints);
+    result.kde = {
+      bandwidth: kde.bandwidth,
+      points: kde.curve.map(p => ({
+        x: transform.inverse(p.x),
+        scaled_x: p.x,
+        density: p.density
+      }))
+    };
+  }
+
+  return result;
+}
+
+app.get("/api/histogram", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+  res.json(buildHistogram(parseQuery(req.query, HISTOGRAM_PARAMS)));
+});
+
+// Endpoint: /api/histogram/export - Xuất bảng bin của /api/histogram (format: csv | tsv | jsonl)
+app.get("/api/histogram/export", async (req, res) => {
+  await ensureLoaded();
+
+  const { format, ...params } = parseQuery(req.query, { ...HISTOGRAM_PARAMS, format: EXPORT_FORMAT_PARAM });
+  const result = buildHistogram(params);
+
+  const columns = ["bin", "start", "end", "count", "percentage", "label"];
+  setExportHeaders(res, "histogram", format);
+  await streamExport(res, format, columns, result.histogram);
+});
+
+// Helper: Format số lớn thành dạng dễ đọc
+function formatNumber(num) {
+  const abs = Math.abs(num);
+  if (abs >= 1e9) return (num / 1e9).toFixed(1) + 'B';
+  if (abs >= 1e6) return (num / 1e6).toFixed(1) + 'M';
+  if (abs >= 1e3) return (num / 1e3).toFixed(1) + 'K';
+  if (abs > 0 && abs < 10) return num.toPrecision(2);
+  return num.toFixed(0);
+}
+
+// Helper: Tạo màu gradient cho từng bin
+function getColor(index, total) {
+  const hue = (index / total) * 240; // Từ xanh (240°) đến đỏ (0°)
+  const saturation = 70 + (index / total) * 30; // Từ 70% đến 100%
+  const lightness = 45 + (index / total) * 10; // Từ 45% đến 55%
+  return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+}
+
+// Helper: Tính percentile
+function percentile(arr, p) {
+  if (arr.length === 0) return 0;
+  const sorted = arr.slice().sort((a, b) => a - b);
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index % 1;
+  
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] * (1 - weight) + sorted[upper] * weight;
+}
+
+// Helper: Hồi quy tuyến tính y = slope * x + intercept (bình phương tối thiểu) kèm R²
+function linearRegression(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const xMean = xs.reduce((a, b) => a + b, 0) / n;
+  const yMean = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - xMean) * (ys[i] - yMean);
+    sxx += (xs[i] - xMean) * (xs[i] - xMean);
+    syy += (ys[i] - yMean) * (ys[i] - yMean);
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  const rSquared = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+  return { slope, intercept, r_squared: rSquared };
+}
+
+// Helper: Lấy mẫu tối đa `cap` điểm: giữ toàn bộ outlier, phần còn lại lấy xoay vòng qua các ô lưới
+// để vùng thưa vẫn được giữ còn vùng dày bị tỉa bớt
+function downsamplePoints(points, cap) {
+  if (points.length <= cap) return points;
+
+  const kept = points.filter(p => p.outlier).slice(0, cap);
+  const cells = new Map();
+  for (const point of points) {
+    if (point.outlier) continue;
+    const key = `${point.cell[0]}:${point.cell[1]}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  }
+
+  const queues = [...cells.values()];
+  let round = 0;
+  while (kept.length < cap) {
+    let added = false;
+    for (const queue of queues) {
+      if (round < queue.length && kept.length < cap) {
+        kept.push(queue[round]);
+        added = true;
+      }
+    }
+    if (!added) break;
+    round++;
+  }
+  return kept;
+}
+
+const SCATTER_SCALES = ["auto", "linear", "log"];
+const SCATTER_PARAMS = {
+  x: { type: "string", enum: NUMERIC_FIELDS, errorCode: "unknown_column", default: "current_price", description: "Numeric column for the X axis" },
+  y: { type: "string", enum: NUMERIC_FIELDS, errorCode: "unknown_column", default: "market_cap", description: "Numeric column for the Y axis" },
+  mode: {
+    type: "string", enum: ["binned", "points"], default: "binned",
+    description: "binned returns a 2D histogram; points returns individual coins (downsampled to max_points)"
+  },
+  bins: { type: "integer", minimum: 5, maximum: 30, default: 15, description: "Bins per axis" },
+  xscale: {
+    type: "string", enum: SCATTER_SCALES, default: "auto",
+    description: "auto uses log when the X range exceeds 1000. Signed columns (changes, ATH/ATL %) use symlog instead of log; other columns drop values <= 0 on a log axis"
+  },
+  yscale: {
+    type: "string", enum: SCATTER_SCALES, default: "auto",
+    description: "auto uses log when the Y range exceeds 1000. Signed columns (changes, ATH/ATL %) use symlog instead of log; other columns drop values <= 0 on a log axis"
+  },
+  max_points: { type: "integer", minimum: 10, maximum: 10000, default: 2000, description: "Maximum points in mode=points" },
+  fit: { type: "boolean", default: true, description: "Fit a regression line on the scaled axes and flag outliers" },
+  outlier_threshold: {
+    type: "number", exclusiveMinimum: 0, default: 3,
+    description: "Absolute residual z-score above which a coin is flagged as an outlier"
+  },
+  exclude_anomalies: EXCLUDE_ANOMALIES_PARAM
+};
+
+// Endpoint: /api/scatter - Trả về dữ liệu scatter plot cho 2 cột (2D histogram hoặc từng điểm)
+// Query params: 
+//   - x: numeric column for X axis (default: current_price)
+//   - y: numeric column for Y axis (default: market_cap)
+//   - mode: binned (2D histogram) | points (từng coin, có downsample) (default: binned)
+//   - bins: số bins trên mỗi axis (default: 15)
+//   - xscale, yscale: auto | linear | log (default: auto = log nếu range > 1000). Cột có dấu (SIGNED_FIELDS) dùng
+//     symlog thay cho log và giữ mọi giá trị; cột khác bỏ giá trị <= 0 (báo số dòng bị bỏ trong excluded_non_positive)
+//   - max_points: số điểm tối đa ở mode points (default: 2000, max: 10000)
+//   - fit: true | false - đường hồi quy trên trục đã scale (log-log nếu cả 2 trục log) (default: true)
+//   - outlier_threshold: ngưỡng |residual z-score| để đánh dấu outlier (default: 3)
+//   - exclude_anomalies: none | low | medium | high (xem /api/coins)
+app.get("/api/scatter", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const params = parseQuery(req.query, SCATTER_PARAMS);
+  const { x: xColumn, y: yColumn, mode, bins } = params;
+  const xScaleParam = params.xscale;
+  const yScaleParam = params.yscale;
+  const maxPoints = params.max_points;
+  const withFit = params.fit;
+  const outlierThreshold = params.outlier_threshold;
+
+  // Trục linear và cột có dấu chấp nhận mọi giá trị; trục log/auto của cột chỉ dương chỉ lấy giá trị > 0
+  const xSigned = SIGNED_FIELDS.includes(xColumn);
+  const ySigned = SIGNED_FIELDS.includes(yColumn);
+  const acceptX = (v) => xScaleParam === "linear" || xSigned || v > 0;
+  const acceptY = (v) => yScaleParam === "linear" || ySigned || v > 0;
+
+  // Lấy tất cả dữ liệu hợp lệ từ 2 cột
+  const store = getStoreExcludingAnomalies(params.exclude_anomalies);
+  const xColumnValues = store.columns[xColumn];
+  const yColumnValues = store.columns[yColumn];
+  const allData = [];
+  let excludedNonPositive = 0;
+  for (let i = 0; i < store.size; i++) {
+    const xVal = xColumnValues[i];
+    const yVal = yColumnValues[i];
+    if (Number.isNaN(xVal) || Number.isNaN(yVal)) continue;
+    if (acceptX(xVal) && acceptY(yVal)) {
+      const coin = store.coins[i];
+      allData.push({ id: coin.id, symbol: coin.symbol, name: coin.name, x: xVal, y: yVal });
+    } else {
+      excludedNonPositive++;
+    }
+  }
+
+  if (allData.length === 0) {
+    throw new ApiError(422, "insufficient_data", `No valid data for columns: x=${xColumn}, y=${yColumn}`);
+  }
+
+  // Tính min/max
+  const xMin = Math.min(...allData.map(d => d.x));
+  const xMax = Math.max(...allData.map(d => d.x));
+  const yMin = Math.min(...allData.map(d => d.y));
+  const yMax = Math.max(...allData.map(d => d.y));
+  const xRange = xMax - xMin || 1;
+  const yRange = yMax - yMin || 1;
+
+  // Auto log scale nếu range quá lớn (hoặc theo xscale/yscale); cột có dấu dùng symlog
+  const xUseLog = xScaleParam === "log" || (xScaleParam === "auto" && xRange > 1000);
+  const yUseLog = yScaleParam === "log" || (yScaleParam === "auto" && yRange > 1000);
+  const xTransform = getScaleTransform(xUseLog ? "log" : "linear", xSigned);
+  const yTransform = getScaleTransform(yUseLog ? "log" : "linear", ySigned);
+  const xScaled = xTransform.forward;
+  const yScaled = yTransform.forward;
+
+  // Mốc bin trên trục đã scale (range = 0 thì nới ra 1 đơn vị)
+  const makeEdges = (min, max, transform) => {
+    const lo = transform.forward(min);
+    const hi = transform.forward(max) > lo ? transform.forward(max) : lo + 1;
+    return Array.from({ length: bins + 1 }, (_, i) => transform.inverse(lo + ((hi - lo) * i) / bins));
+  };
+  const xEdges = makeEdges(xMin, xMax, xTransform);
+  const yEdges = makeEdges(yMin, yMax, yTransform);
+  const binIndex = (value, edges, scaled) => {
+    const lo = scaled(edges[0]);
+    const hi = scaled(edges[bins]);
+    return Math.max(0, Math.min(bins - 1, Math.floor(((scaled(value) - lo) / (hi - lo)) * bins)));
+  };
+
+  // Tạo 2D bin grid và đếm
+  const binGrid = Array(bins).fill(null).map(() => Array(bins).fill(0));
+
+  for (const point of allData) {
+    const xBin = binIndex(point.x, xEdges, xScaled);
+    const yBin = binIndex(point.y, yEdges, yScaled);
+    point.cell = [xBin, yBin];
+    binGrid[xBin][yBin]++;
+  }
+
+  // Tính correlation (trên trục đã scale)
+  const xValues = allData.map(d => xScaled(d.x));
+  const yValues = allData.map(d => yScaled(d.y));
+  const correlation = pearsonCorrelation(xValues, yValues);
+  const rawCorrelation = pearsonCorrelation(allData.map(d => d.x), allData.map(d => d.y));
+
+  // Hồi quy trên trục đã scale + đánh dấu outlier theo residual chuẩn hóa
+  let regression = null;
+  const fit = withFit ? linearRegression(xValues, yValues) : null;
+  if (fit) {
+    const residuals = xValues.map((x, i) => yValues[i] - (fit.slope * x + fit.intercept));
+    const sse = residuals.reduce((sum, r) => sum + r * r, 0);
+    const sigma = allData.length > 2 ? Math.sqrt(sse / (allData.length - 2)) : 0;
+    allData.forEach((point, i) => {
+      point.residual = residuals[i];
+      point.residual_z = sigma > 0 ? residuals[i] / sigma : 0;
+      point.outlier = Math.abs(point.residual_z) > outlierThreshold;
+    });
+
+    const type = xUseLog && yUseLog ? "log-log" : xUseLog ? "semi-log-x" : yUseLog ? "semi-log-y" : "linear";
+    const axisTerm = (transform, name) => (transform.name === "linear" ? name : `${transform.name === "symlog" ? "symlog" : "log10"}(${name})`);
+    const lineX = [xEdges[0], xEdges[bins]];
+    regression = {
+      type: type,
+      equation: `${axisTerm(yTransform, "y")} = ${fit.slope.toPrecision(4)} * ${axisTerm(xTransform, "x")} + ${fit.intercept.toPrecision(4)}`,
+      slope: fit.slope,
+      intercept: fit.intercept,
+      r_squared: parseFloat(fit.r_squared.toFixed(4)),
+      residual_std: sigma,
+      outlier_threshold: outlierThreshold,
+      outlier_count: allData.filter(p => p.outlier).length,
+      line: lineX.map(x => {
+        return { x: x, y: yTransform.inverse(fit.slope * xScaled(x) + fit.intercept) };
+      })
+    };
+  }
+
+  const response = {
+    success: true,
+    mode: mode,
+    x: xColumn,
+    y: yColumn,
+    bins: bins,
+    log: { x: xUseLog, y: yUseLog },
+    scale: { x: xTransform.name, y: yTransform.name },
+    x_edges: xEdges,
+    y_edges: yEdges,
+    total: allData.length,
+    excluded_non_positive: excludedNonPositive,
+    stats: {
+      correlation: correlation === null ? null : parseFloat(correlation.toFixed(4)),
+      correlation_raw: rawCorrelation === null ? null : parseFloat(rawCorrelation.toFixed(4))
+    },
+    regression: regression
+  };
+
+  const toPoint = (p) => {
+    const point = { id: p.id, symbol: p.symbol, name: p.name, x: p.x, y: p.y };
+    if (fit) {
+      point.residual_z = parseFloat(p.residual_z.toFixed(3));
+      point.outlier = p.outlier;
+    }
+    return point;
+  };
+
+  if (mode === "points") {
+    const sampled = downsamplePoints(allData, maxPoints);
+    response.downsampled = sampled.length < allData.length;
+    response.count = sampled.length;
+    response.data = sampled.map(toPoint);
+  } else {
+    // Chuyển grid thành array tối ưu
+    const binnedPoints = [];
+    for (let i = 0; i < bins; i++) {
+      for (let j = 0; j < bins; j++) {
+        const count = binGrid[i][j];
+        if (count > 0) {
+          binnedPoints.push([i, j, count]); // [x_bin, y_bin, count]
+        }
+      }
+    }
+    response.data = binnedPoints;
+    response.bins_count = binnedPoints.length;
+    // Outlier vẫn trả về từng coin để frontend click vào được
+    response.outliers = allData
+      .filter(p => p.outlier)
+      .sort((a, b) => Math.abs(b.residual_z) - Math.abs(a.residual_z))
+      .slice(0, 100)
+      .map(toPoint);
+  }
+
+  res.json(response);
+});
+
+// ===== Thống kê cho correlation =====
+
+// Helper: log Gamma (xấp xỉ Lanczos)
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const coef of c) ser += coef / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Helper: Regularized incomplete beta I_x(a, b) (continued fraction, Numerical Recipes)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  const continuedFraction = (x, a, b) => {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      h *= d * c;
+      aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 3e-12) break;
+    }
+    return h;
+  };
+  return x < (a + 1) / (a + b + 2)
+    ? (front * continuedFraction(x, a, b)) / a
+    : 1 - (front * continuedFraction(1 - x, b, a)) / b;
+}
+
+// Helper: p-value hai phía cho hệ số tương quan r với n mẫu (kiểm định t, df = n - 2)
+function correlationPValue(r, n) {
+  if (r === null || n < 3) return null;
+  if (Math.abs(r) >= 1) return 0;
+  const df = n - 2;
+  const t = r * Math.sqrt(df / (1 - r * r));
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Helper: p-value hai phía của phân phối chuẩn (erfc xấp xỉ Abramowitz-Stegun 7.1.26)
+function normalPValue(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return Math.min(1, poly * Math.exp(-x * x));
+}
+
+// Helper: Hệ số Pearson (null nếu một cột có độ lệch chuẩn = 0)
+function pearsonCorrelation(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const xMean = xs.reduce((a, b) => a + b, 0) / n;
+  const yMean = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - xMean;
+    const dy = ys[i] - yMean;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy))); // Clamp to [-1, 1]
+}
+
+// Helper: Xếp hạng (giá trị bằng nhau lấy hạng trung bình)
+function rankValues(values) {
+  const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+// Helper: Kendall tau-b theo thuật toán Knight O(n log n)
+function kendallTau(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const order = xs.map((_, i) => i).sort((a, b) => xs[a] - xs[b] || ys[a] - ys[b]);
+  const pairs = (t) => (t * (t - 1)) / 2;
+
+  // Cặp trùng x (n1) và trùng cả x lẫn y (n3)
+  let tiesX = 0;
+  let tiesXY = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && xs[order[j + 1]] === xs[order[i]]) j++;
+    tiesX += pairs(j - i + 1);
+    for (let k = i; k <= j;) {
+      let m = k;
+      while (m + 1 <= j && ys[order[m + 1]] === ys[order[k]]) m++;
+      tiesXY += pairs(m - k + 1);
+      k = m + 1;
+    }
+    i = j + 1;
+  }
+
+  // Merge sort theo y, đếm số lần đảo (cặp discordant)
+  let sorted = order.map(i => ys[i]);
+  let buffer = new Array(n);
+  let swaps = 0;
+  for (let width = 1; width < n; width *= 2) {
+    for (let lo = 0; lo < n; lo += 2 * width) {
+      const mid = Math.min(lo + width, n);
+      const hi = Math.min(lo + 2 * width, n);
+      let left = lo;
+      let right = mid;
+      let k = lo;
+      while (left < mid && right < hi) {
+        if (sorted[right] < sorted[left]) {
+          swaps += mid - left;
+          buffer[k++] = sorted[right++];
+        } else {
+          buffer[k++] = sorted[left++];
+        }
+      }
+      while (left < mid) buffer[k++] = sorted[left++];
+      while (right < hi) buffer[k++] = sorted[right++];
+    }
+    [sorted, buffer] = [buffer, sorted];
+  }
+
+  // Cặp trùng y (n2)
+  let tiesY = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && sorted[j + 1] === sorted[i]) j++;
+    tiesY += pairs(j - i + 1);
+    i = j + 1;
+  }
+
+  const total = pairs(n);
+  const denominator = Math.sqrt((total - tiesX) * (total - tiesY));
+  if (denominator === 0) return null;
+  const s = total - tiesX - tiesY + tiesXY - 2 * swaps;
+  return Math.max(-1, Math.min(1, s / denominator));
+}
+
+const CORRELATION_METHODS = ["pearson", "spearman", "kendall"];
+
+// Helper: Tính hệ số tương quan + p-value theo method
+function correlate(xs, ys, method) {
+  const n = xs.length;
+  let r;
+  if (method === "spearman") {
+    r = pearsonCorrelation(rankValues(xs), rankValues(ys));
+  } else if (method === "kendall") {
+    r = kendallTau(xs, ys);
+  } else {
+    r = pearsonCorrelation(xs, ys);
+  }
+
+  let p = null;
+  if (r !== null && n >= 3) {
+    if (method === "kendall") {
+      const z = r / Math.sqrt((2 * (2 * n + 5)) / (9 * n * (n - 1)));
+      p = normalPValue(z);
+    } else {
+      p = correlationPValue(r, n);
+    }
+  }
+  return { r, p, n };
+}
+
+// Helper: Thứ tự cột theo hierarchical clustering (average linkage, khoảng cách 1 - |r|)
+function clusterOrder(matrix) {
+  const distance = (i, j) => (matrix[i][j] === null ? 1 : 1 - Math.abs(matrix[i][j]));
+  let clusters = matrix.map((_, i) => ({ members: [i], order: [i] }));
+  const merges = [];
+
+  while (clusters.length > 1) {
+    let best = null;
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        let sum = 0;
+        for (const i of clusters[a].members) {
+          for (const j of clusters[b].members) sum += distance(i, j);
+        }
+        const avg = sum / (clusters[a].members.length * clusters[b].members.length);
+        if (!best || avg < best.distance) best = { a, b, distance: avg };
+      }
+    }
+    const left = clusters[best.a];
+    const right = clusters[best.b];
+    merges.push({ left: left.order.slice(), right: right.order.slice(), distance: best.distance });
+    clusters = clusters.filter((_, i) => i !== best.a && i !== best.b);
+    clusters.push({ members: [...left.members, ...right.members], order: [...left.order, ...right.order] });
+  }
+
+  return { order: clusters[0].order, merges };
+}
+
+const HEATMAP_PARAMS = {
+  columns: {
+    type: "array", items: { type: "string" },
+    description: "Comma-separated chartable numeric columns (default: all, see /api/schema)"
+  },
+  method: { type: "string", enum: CORRELATION_METHODS, default: "pearson", description: "Correlation coefficient" },
+  missing: {
+    type: "string", enum: ["pairwise", "listwise"], default: "pairwise",
+    description: "pairwise uses rows complete for each pair; listwise only rows complete for every column"
+  },
+  log: {
+    type: "string", enum: ["none", "auto", "all"], default: "none",
+    description: "Symlog-transform columns before correlating; auto only transforms columns with |skewness| > 2"
+  },
+  order: {
+    type: "string", enum: ["original", "cluster"], default: "original",
+    description: "cluster reorders columns by average-linkage hierarchical clustering"
+  },
+  exclude_anomalies: EXCLUDE_ANOMALIES_PARAM
+};
+
+// Endpoint: /api/heatmap - Trả về ma trận tương quan giữa tất cả các cột numeric
+// Query params:
+//   - columns: danh sách cột (cách nhau bằng dấu phẩy, nếu không có thì lấy tất cả cột numeric)
+//   - method: pearson | spearman | kendall (default: pearson)
+//   - missing: pairwise (mỗi cặp cột dùng các dòng có đủ 2 giá trị) | listwise (chỉ dùng dòng đủ tất cả cột) (default: pairwise)
+//   - log: none | auto (log-transform cột có |skewness| > 2) | all (default: none)
+//   - order: original | cluster (sắp xếp cột theo hierarchical clustering) (default: original)
+//   - exclude_anomalies: none | low | medium | high (xem /api/coins)
+function buildHeatmap(params) {
+  const { method, missing, log: logMode, order: orderMode } = params;
+
+  const store = getStoreExcludingAnomalies(params.exclude_anomalies);
+  if (store.size === 0) {
+    throw new ApiError(422, "insufficient_data", "No data available");
+  }
+
+  // Chỉ lấy các cột numeric vẽ được theo schema (bỏ metadata, ngày tháng, roi)
+  const chartable = getChartableColumns(store);
+  let columns = chartable;
+
+  if (params.columns && params.columns.length > 0) {
+    // Nếu có query, lấy theo danh sách được cung cấp
+    const invalid = params.columns.filter(col => !chartable.includes(col));
+    if (invalid.length > 0) {
+      throw invalidQuery([{
+        param: "columns",
+        code: "unknown_column",
+        message: `Unknown or non-numeric columns: ${invalid.join(", ")}. Allowed: ${chartable.join(", ")}`
+      }]);
+    }
+    columns = [...new Set(params.columns)];
+  }
+
+  if (columns.length < 2) {
+    throw new ApiError(422, "insufficient_data", "Need at least 2 valid numeric columns", { found_columns: columns.length });
+  }
+
+  // Giữ nguyên thứ tự dòng (null ở dòng thiếu dữ liệu) để các cột được ghép đúng theo từng coin
+  const data = {};
+  for (const col of columns) {
+    data[col] = Array.from(getNumericColumn(store, col), val => (Number.isNaN(val) ? null : val));
+  }
+  const validCount = (col) => getSortedOrder(store, col).length;
+
+  // Lọc chỉ giữ cột có ít nhất 80% dữ liệu hợp lệ (strict hơn)
+  const minDataPoints = Math.floor(store.size * 0.8);
+  const validColumns = columns.filter(col => validCount(col) >= minDataPoints);
+
+  if (validColumns.length < 2) {
+    throw new ApiError(422, "insufficient_data", "Not enough columns with sufficient data. Need at least 2 columns with 80%+ data points", {
+      checked_columns: columns.length,
+      valid_columns: validColumns.length,
+      required_data_points: minDataPoints,
+      total_records: store.size
+    });
+  }
+
+  // Log-transform (symlog để giữ được giá trị âm) cho cột lệch nặng
+  const logTransformed = [];
+  for (const col of validColumns) {
+    const values = getSortedValues(store, col);
+    const skewed = logMode === "all" || (logMode === "auto" && Math.abs(describeValues(values).skewness) > 2);
+    if (skewed) {
+      data[col] = data[col].map(val => (val === null ? null : symlog(val)));
+      logTransformed.push(col);
+    }
+  }
+
+  // listwise: chỉ giữ các dòng có đủ dữ liệu ở tất cả cột
+  let rowIndexes = Array.from({ length: store.size }, (_, i) => i);
+  if (missing === "listwise") {
+    rowIndexes = rowIndexes.filter(i => validColumns.every(col => data[col][i] !== null));
+  }
+
+  const n = missing === "listwise"
+    ? rowIndexes.length
+    : Math.min(...validColumns.map(validCount));
+
+  if (n < 2) {
+    throw new ApiError(422, "insufficient_data", `Not enough valid data points (${n} found, need at least 2)`, {
+      valid_columns: validColumns.length
+    });
+  }
+
+  // Tạo correlation matrix, p-value và số mẫu cho từng cặp cột
+  const size = validColumns.length;
+  const correlationMatrix = Array.from({ length: size }, () => Array(size).fill(null));
+  const pValueMatrix = Array.from({ length: size }, () => Array(size).fill(null));
+  const sampleSizeMatrix = Array.from({ length: size }, () => Array(size).fill(0));
+
+  for (let i = 0; i < size; i++) {
+    for (let j = i; j < size; j++) {
+      const col1 = data[validColumns[i]];
+      const col2 = data[validColumns[j]];
+      const xs = [];
+      const ys = [];
+      for (const idx of rowIndexes) {
+        if (col1[idx] !== null && col2[idx] !== null) {
+          xs.push(col1[idx]);
+          ys.push(col2[idx]);
+        }
+      }
+
+      // Đường chéo: r = 1, trừ cột có phương sai 0 (hoặc < 2 giá trị) thì null như các cặp khác
+      let result;
+      if (i === j) {
+        const constant = xs.length < 2 || xs.every(value => value === xs[0]);
+        result = constant ? { r: null, p: null, n: xs.length } : { r: 1.0, p: 0, n: xs.length };
+      } else {
+        result = correlate(xs, ys, method);
+      }
+
+      const r = result.r === null ? null : parseFloat(result.r.toFixed(4));
+      const p = result.p === null ? null : parseFloat(result.p.toPrecision(4));
+      correlationMatrix[i][j] = correlationMatrix[j][i] = r;
+      pValueMatrix[i][j] = pValueMatrix[j][i] = p;
+      sampleSizeMatrix[i][j] = sampleSizeMatrix[j][i] = result.n;
+    }
+  }
+
+  // Sắp xếp lại cột theo clustering để các chỉ số liên quan đứng cạnh nhau
+  let order = validColumns.map((_, i) => i);
+  let clustering;
+  if (orderMode === "cluster") {
+    const result = clusterOrder(correlationMatrix);
+    order = result.order;
+    clustering = {
+      linkage: "average",
+      distance: "1 - |r|",
+      merges: result.merges.map(m => ({
+        left: m.left.map(i => validColumns[i]),
+        right: m.right.map(i => validColumns[i]),
+        distance: parseFloat(m.distance.toFixed(4))
+      }))
+    };
+  }
+  const reorder = (matrix) => order.map(i => order.map(j => matrix[i][j]));
+
+  const response = {
+    success: true,
+    method: method,
+    missing: missing,
+    order: orderMode,
+    columns: order.map(i => validColumns[i]),
+    log_transformed: logTransformed,
+    data_points: n,
+    data_completeness: parseFloat(((n / store.size) * 100).toFixed(1)) + "%",
+    total_records: store.size,
+    correlation_matrix: reorder(correlationMatrix),
+    p_value_matrix: reorder(pValueMatrix),
+    sample_size_matrix: reorder(sampleSizeMatrix),
+    description: `${method[0].toUpperCase() + method.slice(1)} correlation matrix (${missing} deletion) with 80%+ data completeness. Range: -1 (negative) to 1 (positive); null when a column has zero variance.`
+  };
+  if (clustering) response.clustering = clustering;
+
+  return response;
+}
+
+app.get("/api/heatmap", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+  res.json(buildHeatmap(parseQuery(req.query, HEATMAP_PARAMS)));
+});
+
+// Endpoint: /api/heatmap/export - Xuất ma trận tương quan của /api/heatmap (format: csv | tsv | jsonl)
+app.get("/api/heatmap/export", async (req, res) => {
+  await ensureLoaded();
+
+  const { format, ...params } = parseQuery(req.query, { ...HEATMAP_PARAMS, format: EXPORT_FORMAT_PARAM });
+  const result = buildHeatmap(params);
+
+  // Mỗi dòng: tên cột + hệ số tương quan với từng cột
+  const rows = result.columns.map((column, i) => {
+    const row = { column };
+    result.columns.forEach((other, j) => {
+      row[other] = result.correlation_matrix[i][j];
+    });
+    return row;
+  });
+
+  setExportHeaders(res, "heatmap", format);
+  await streamExport(res, format, ["column", ...result.columns], rows);
+});
+
+// ===== Dữ liệu bất thường =====
+
+// Luật kiểm tra tính nhất quán giữa các cột của một coin. score(coin) trả về độ lệch (null nếu thiếu dữ liệu),
+// thresholds: score tối thiểu cho từng mức low, medium, high
+const ANOMALY_RULES = {
+  volume_exceeds_market_cap: {
+    metric: "total_volume",
+    description: "total_volume is a large multiple of market_cap (score = total_volume / market_cap)",
+    thresholds: [5, 20, 100],
+    score: (coin) => (coin.market_cap > 0 && coin.total_volume !== null ? coin.total_volume / coin.market_cap : null),
+    message: (score) => `total_volume is ${score}x market_cap`
+  },
+  price_outside_24h_range: {
+    metric: "current_price",
+    description: "current_price lies outside low_24h-high_24h (score = % beyond the nearest bound)",
+    thresholds: [1, 10, 50],
+    score: (coin) => {
+      const { current_price: price, low_24h: low, high_24h: high } = coin;
+      if (!(price > 0 && low > 0 && high >= low)) return null;
+      if (price > high) return (price / high - 1) * 100;
+      if (price < low) return (low / price - 1) * 100;
+      return 0;
+    },
+    message: (score) => `current_price is ${score}% outside the 24h low-high range`
+  },
+  market_cap_mismatch: {
+    metric: "market_cap",
+    description: "market_cap disagrees with current_price x circulating_supply (score = % difference, larger / smaller - 1)",
+    thresholds: [5, 25, 100],
+    score: (coin) => {
+      const implied = coin.current_price * coin.circulating_supply;
+      if (!(coin.market_cap > 0 && implied > 0)) return null;
+      return (Math.max(coin.market_cap, implied) / Math.min(coin.market_cap, implied) - 1) * 100;
+    },
+    message: (score) => `market_cap differs from current_price x circulating_supply by ${score}%`
+  }
+};
+
+// Ngưỡng outlier mặc định theo method: robust z-score (MAD) theo Iglewicz-Hoaglin, IQR theo Tukey (far out)
+const ANOMALY_DEFAULT_THRESHOLDS = { mad: 3.5, iqr: 3 };
+
+const ANOMALY_PARAMS = {
+  method: {
+    type: "string", enum: ["mad", "iqr"], default: "mad",
+    description: "Outlier test: mad = robust z-score from the median absolute deviation, iqr = distance beyond Q1/Q3 in IQRs"
+  },
+  threshold: {
+    type: "number", exclusiveMinimum: 0,
+    description: "Score at which a value becomes a low-severity outlier (default: 3.5 for mad, 3 for iqr); 2x = medium, 4x = high"
+  },
+  metrics: {
+    type: "array", items: { type: "string", enum: [...NUMERIC_FIELDS, ...DERIVED_FIELDS], errorCode: "unknown_column" },
+    default: ["price_change_percentage_24h", "market_cap_change_percentage_24h", "turnover"],
+    description: "Comma-separated numeric or derived columns tested for outliers"
+  },
+  log: {
+    type: "string", enum: ["none", "auto"], default: "auto",
+    description: "auto tests strictly positive metrics (volumes, ratios) on a log10 scale; signed metrics stay linear"
+  },
+  severity: { type: "string", enum: ANOMALY_SEVERITIES, default: "low", description: "Only list coins flagged at this severity or above" },
+  rules: {
+    type: "array", items: { type: "string", enum: [...Object.keys(ANOMALY_RULES), "outlier"] },
+    description: "Only list anomalies from these rules (default: all)"
+  },
+  limit: { type: "integer", minimum: 1, maximum: 1000, default: 100, description: "Maximum number of coins" }
+};
+
+// Helper: Mức cao nhất mà score đạt ngưỡng (null nếu dưới ngưỡng low)
+function anomalySeverity(score, thresholds) {
+  let severity = null;
+  thresholds.forEach((threshold, level) => {
+    if (score >= threshold) severity = ANOMALY_SEVERITIES[level];
+  });
+  return severity;
+}
+
+// Helper: Khoảng giá trị bình thường của một metric theo method (tính trên log10 nếu log = auto và metric luôn > 0;
+// không dựa vào skewness vì chính outlier làm cột bị lệch).
+// Trả về { metric, log_transformed, median, lower, upper, score(value) }; lower/upper/score = null khi quá ít dữ liệu
+// hoặc mọi giá trị (hay mọi giá trị trong khoảng Q1-Q3 với iqr) giống nhau
+function outlierBounds(store, metric, method, threshold, logMode) {
+  const sorted = getSortedValues(store, metric);
+  const logTransformed = logMode === "auto" && sorted.length > 0 && sorted[0] > 0;
+  const transform = logTransformed ? Math.log10 : (val) => val;
+  const invert = logTransformed ? (val) => Math.pow(10, val) : (val) => val;
+  const values = logTransformed ? sorted.map(transform) : sorted;
+  const median = percentile(values, 50);
+  const result = { metric, log_transformed: logTransformed, median: sorted.length > 0 ? roundStat(invert(median)) : null, lower: null, upper: null, score: null };
+  if (values.length < 5) return result;
+
+  let lower;
+  let upper;
+  if (method === "mad") {
+    // MAD / 0.6745 ước lượng độ lệch chuẩn của phân phối chuẩn; hơn nửa số giá trị bằng median (MAD = 0)
+    // thì dùng trung bình độ lệch tuyệt đối x 1.2533 thay thế
+    const deviations = values.map(val => Math.abs(val - median));
+    const mad = percentile(deviations, 50);
+    const spread = mad > 0 ? mad / 0.6745 : (deviations.reduce((sum, val) => sum + val, 0) / deviations.length) * 1.2533;
+    if (spread === 0) return result;
+    result.score = (value) => Math.abs(transform(value) - median) / spread;
+    lower = median - threshold * spread;
+    upper = median + threshold * spread;
+  } else {
+    const q1 = percentile(values, 25);
+    const q3 = percentile(values, 75);
+    const iqr = q3 - q1;
+    if (iqr === 0) return result;
+    result.score = (value) => {
+      const val = transform(value);
+      return val < q1 ? (q1 - val) / iqr : val > q3 ? (val - q3) / iqr : 0;
+    };
+    lower = q1 - threshold * iqr;
+    upper = q3 + threshold * iqr;
+  }
+  result.lower = roundStat(invert(lower));
+  result.upper = roundStat(invert(upper));
+  return result;
+}
+
+// Helper: Chạy các luật nhất quán và kiểm tra outlier trên toàn bộ coin (memoize theo store + tham số).
+// Trả về { threshold, metrics (khoảng bình thường từng metric), flagged: [{ index, severity, anomalies }] }
+function detectAnomalies(store, params) {
+  const threshold = params.threshold !== undefined ? params.threshold : ANOMALY_DEFAULT_THRESHOLDS[params.method];
+  const metrics = [...new Set(params.metrics)];
+  const key = `anomalies:${params.method}:${threshold}:${params.log}:${metrics.join(",")}`;
+
+  return memoize(store, key, () => {
+    const bounds = metrics.map(metric => outlierBounds(store, metric, params.method, threshold, params.log));
+    const flagged = [];
+
+    store.coins.forEach((coin, index) => {
+      const anomalies = [];
+      for (const [rule, spec] of Object.entries(ANOMALY_RULES)) {
+        const score = spec.score(coin);
+        const severity = score === null ? null : anomalySeverity(score, spec.thresholds);
+        if (!severity) continue;
+        const rounded = roundStat(score);
+        anomalies.push({ rule, metric: spec.metric, severity, value: coin[spec.metric], score: rounded, message: spec.message(rounded) });
+      }
+
+      for (const bound of bounds) {
+        if (!bound.score) continue;
+        const value = getNumericColumn(store, bound.metric)[index];
+        if (Number.isNaN(value)) continue;
+        const score = bound.score(value);
+        const severity = anomalySeverity(score, [threshold, threshold * 2, threshold * 4]);
+        if (!severity) continue;
+        anomalies.push({
+          rule: "outlier",
+          metric: bound.metric,
+          severity,
+          value: roundStat(value),
+          score: roundStat(score),
+          message: `${bound.metric} = ${roundStat(value)} is outside the normal range ${bound.lower} to ${bound.upper}`
+        });
+      }
+
+      if (anomalies.length > 0) {
+        const level = Math.max(...anomalies.map(anomaly => ANOMALY_SEVERITIES.indexOf(anomaly.severity)));
+        flagged.push({ index, severity: ANOMALY_SEVERITIES[level], anomalies });
+      }
+    });
+
+    return {
+      threshold,
+      metrics: bounds.map(({ score, ...bound }) => bound),
+      flagged
+    };
+  });
+}
+
+// Helper: Store hiện tại, bỏ các coin bị gắn cờ (cấu hình mặc định của /api/anomalies) từ mức level trở lên.
+// Dùng cho param exclude_anomalies của /api/coins và các route biểu đồ; store đã lọc tính một lần cho mỗi mức.
+function getStoreExcludingAnomalies(level) {
+  const store = coinStore;
+  if (!level || level === "none") return store;
+
+  return memoize(store, `without_anomalies:${level}`, () => {
+    const minLevel = ANOMALY_SEVERITIES.indexOf(level);
+    const flagged = new Set(detectAnomalies(store, validateQuery({}, ANOMALY_PARAMS).params).flagged
+      .filter(entry => ANOMALY_SEVERITIES.indexOf(entry.severity) >= minLevel)
+      .map(entry => entry.index));
+    return buildCoinStore(store.rows.filter((_, index) => !flagged.has(index)));
+  });
+}
+
+// Endpoint: /api/anomalies - Các coin có dữ liệu đáng ngờ: luật nhất quán (ANOMALY_RULES) và outlier theo từng metric
+// Query params:
+//   - method: mad (robust z-score) | iqr (default: mad); threshold: ngưỡng mức low (default: 3.5 / 3), 2x = medium, 4x = high
+//   - metrics: các cột kiểm tra outlier (default: price_change_percentage_24h, market_cap_change_percentage_24h, turnover)
+//   - log: none | auto (so sánh metric luôn > 0 trên thang log10) (default: auto)
+//   - severity: chỉ lấy coin có mức >= severity (default: low); rules: chỉ lấy các luật này (outlier = kiểm tra outlier)
+//   - limit: số coin tối đa (default: 100)
+// Coin sắp xếp theo mức nặng nhất, số bất thường rồi market_cap_rank
+app.get("/api/anomalies", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const params = parseQuery(req.query, ANOMALY_PARAMS);
+  const store = coinStore;
+  const result = detectAnomalies(store, params);
+  const minLevel = ANOMALY_SEVERITIES.indexOf(params.severity);
+  const rules = params.rules && params.rules.length > 0 ? params.rules : null;
+  const levelOf = (severity) => ANOMALY_SEVERITIES.indexOf(severity);
+
+  const flagged = [];
+  for (const entry of result.flagged) {
+    const anomalies = entry.anomalies.filter(anomaly => !rules || rules.includes(anomaly.rule));
+    if (anomalies.length === 0) continue;
+    const level = Math.max(...anomalies.map(anomaly => levelOf(anomaly.severity)));
+    if (level < minLevel) continue;
+    flagged.push({ index: entry.index, severity: ANOMALY_SEVERITIES[level], anomalies });
+  }
+
+  const rankOf = (entry) => {
+    const rank = store.coins[entry.index].market_cap_rank;
+    return rank === null ? Infinity : rank;
+  };
+  flagged.sort((a, b) =>
+    levelOf(b.severity) - levelOf(a.severity) ||
+    b.anomalies.length - a.anomalies.length ||
+    rankOf(a) - rankOf(b)
+  );
+
+  const bySeverity = Object.fromEntries(ANOMALY_SEVERITIES.map(severity => [severity, 0]));
+  const byRule = Object.fromEntries([...Object.keys(ANOMALY_RULES), "outlier"].map(rule => [rule, 0]));
+  for (const entry of flagged) {
+    bySeverity[entry.severity]++;
+    for (const rule of new Set(entry.anomalies.map(anomaly => anomaly.rule))) byRule[rule]++;
+  }
+
+  const data = flagged.slice(0, params.limit).map(entry => {
+    const coin = store.coins[entry.index];
+    return {
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      market_cap_rank: coin.market_cap_rank,
+      severity: entry.severity,
+      anomalies: entry.anomalies
+    };
+  });
+
+  res.json({
+    success: true,
+    method: params.method,
+    threshold: result.threshold,
+    total_records: store.size,
+    flagged_count: flagged.length,
+    counts: { by_severity: bySeverity, by_rule: byRule },
+    rules: Object.fromEntries(Object.entries(ANOMALY_RULES).map(([rule, spec]) => [rule, {
+      metric: spec.metric,
+      description: spec.description,
+      thresholds: Object.fromEntries(ANOMALY_SEVERITIES.map((severity, level) => [severity, spec.thresholds[level]]))
+    }])),
+    metrics: result.metrics,
+    count: data.length,
+    data: data
+  });
+});
+
+// ===== Clustering & coin tương tự =====
+
+// Param dùng chung cho các route dùng không gian đặc trưng (xem getFeatureSpace)
+const FEATURE_PARAMS = {
+  columns: {
+    type: "array", items: { type: "string" },
+    description: "Comma-separated chartable numeric columns used as features (default: every column with 80%+ data, as in /api/heatmap)"
+  },
+  log: {
+    type: "string", enum: ["none", "auto", "all"], default: "auto",
+    description: "Symlog-transform features before standardizing; auto only transforms columns with |skewness| > 2"
+  }
+};
+
+// Số điểm tối đa dùng để fit k-means (các điểm còn lại chỉ được gán vào tâm gần nhất) và để tính silhouette
+// (O(mẫu²), trên mẫu đã fit), lấy đều theo thứ tự dòng
+const KMEANS_SAMPLE_SIZE = 2000;
+const SILHOUETTE_SAMPLE_SIZE = 500;
+
+// Helper: Bình phương khoảng cách Euclid giữa 2 vector
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) * (a[i] - b[i]);
+  return sum;
+}
+
+// Helper: Không gian đặc trưng cho clustering / coin tương tự: cột numeric (chọn như /api/heatmap), symlog cột lệch,
+// chuẩn hóa z-score. Chỉ giữ coin có đủ giá trị ở mọi cột. Tính một lần cho mỗi bộ tham số (memoize theo store).
+// Trả về { columns, log_transformed, scaling: { column: { mean, std } }, indexes (index trong store), points, excluded }
+function getFeatureSpace(store, params) {
+  if (store.size === 0) {
+    throw new ApiError(422, "insufficient_data", "No data available");
+  }
+
+  const chartable = getChartableColumns(store);
+  let columns;
+  if (params.columns && params.columns.length > 0) {
+    const invalid = params.columns.filter(col => !chartable.includes(col));
+    if (invalid.length > 0) {
+      throw invalidQuery([{
+        param: "columns",
+        code: "unknown_column",
+        message: `Unknown or non-numeric columns: ${invalid.join(", ")}. Allowed: ${chartable.join(", ")}`
+      }]);
+    }
+    columns = [...new Set(params.columns)];
+  } else {
+    const minDataPoints = Math.floor(store.size * 0.8);
+    columns = chartable.filter(col => getSortedOrder(store, col).length >= minDataPoints);
+  }
+
+  if (columns.length < 2) {
+    throw new ApiError(422, "insufficient_data", "Need at least 2 valid numeric columns", { found_columns: columns.length });
+  }
+
+  return memoize(store, `features:${params.log}:${columns.join(",")}`, () => {
+    const logTransformed = columns.filter(col =>
+      params.log === "all" || (params.log === "auto" && Math.abs(describeValues(getSortedValues(store, col)).skewness) > 2)
+    );
+    const data = columns.map(col => {
+      const values = getNumericColumn(store, col);
+      return logTransformed.includes(col) ? Array.from(values, symlog) : values;
+    });
+
+    const indexes = [];
+    for (let i = 0; i < store.size; i++) {
+      if (data.every(values => Number.isFinite(values[i]))) indexes.push(i);
+    }
+
+    // Cột hằng số (std = 0) giữ nguyên với z = 0 để không chia cho 0
+    const scaling = {};
+    columns.forEach((col, c) => {
+      const mean = indexes.reduce((sum, i) => sum + data[c][i], 0) / (indexes.length || 1);
+      const variance = indexes.reduce((sum, i) => sum + (data[c][i] - mean) ** 2, 0) / (indexes.length || 1);
+      scaling[col] = { mean, std: Math.sqrt(variance) || 1 };
+    });
+    const points = indexes.map(i => Float64Array.from(columns, (col, c) => (data[c][i] - scaling[col].mean) / scaling[col].std));
+
+    return {
+      columns,
+      log_transformed: logTransformed,
+      scaling,
+      indexes,
+      points,
+      position: new Map(indexes.map((storeIndex, p) => [storeIndex, p])),
+      excluded: store.size - indexes.length
+    };
+  });
+}
+
+// Helper: Vector đã chuẩn hóa -> giá trị theo đơn vị gốc của từng cột
+function unscaleFeatures(space, vector) {
+  return Object.fromEntries(space.columns.map((col, c) => {
+    const value = vector[c] * space.scaling[col].std + space.scaling[col].mean;
+    return [col, roundStat(space.log_transformed.includes(col) ? inverseSymlog(value) : value)];
+  }));
+}
+
+// Helper: Tối đa size index trong [0, n), cách đều nhau
+function sampleIndexes(n, size) {
+  const step = Math.max(1, n / size);
+  const indexes = [];
+  for (let s = 0; Math.floor(s) < n; s += step) indexes.push(Math.floor(s));
+  return indexes;
+}
+
+// Helper: Index của tâm gần điểm nhất
+function nearestCentroid(point, centroids) {
+  let label = 0;
+  let min = Infinity;
+  for (let c = 0; c < centroids.length; c++) {
+    const d = squaredDistance(point, centroids[c]);
+    if (d < min) {
+      min = d;
+      label = c;
+    }
+  }
+  return label;
+}
+
+// Helper: PRNG có seed (mulberry32) để k-means++ cho cùng kết quả với cùng tham số (response được cache)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Helper: k-means (khởi tạo k-means++, lặp Lloyd tới khi không điểm nào đổi cụm hoặc maxIterations).
+// Chạy nInit lần với các khởi tạo khác nhau, lấy kết quả có inertia (tổng bình phương khoảng cách) nhỏ nhất.
+// Fit trên mẫu tối đa sampleSize điểm rồi gán mọi điểm vào tâm gần nhất trong một lượt (giữ thời gian chạy
+// gần như cố định khi dataset lớn); trả về { labels, centroids, inertia, iterations, sample } với sample = index các điểm đã fit
+function kMeans(allPoints, k, { seed = 42, nInit = 3, maxIterations = 100, sampleSize = KMEANS_SAMPLE_SIZE } = {}) {
+  const random = seededRandom(seed);
+  const sample = sampleIndexes(allPoints.length, sampleSize);
+  const points = sample.map(i => allPoints[i]);
+  const n = points.length;
+  let best = null;
+
+  for (let run = 0; run < nInit; run++) {
+    // k-means++: chọn tâm kế tiếp với xác suất tỉ lệ bình phương khoảng cách tới tâm gần nhất
+    const centroids = [Float64Array.from(points[Math.floor(random() * n)])];
+    const nearest = points.map(point => squaredDistance(point, centroids[0]));
+    while (centroids.length < k) {
+      const total = nearest.reduce((sum, d) => sum + d, 0);
+      let chosen = Math.floor(random() * n);
+      if (total > 0) {
+        let target = random() * total;
+        for (let i = 0; i < n; i++) {
+          target -= nearest[i];
+          if (target <= 0) {
+            chosen = i;
+            break;
+          }
+        }
+      }
+      const centroid = Float64Array.from(points[chosen]);
+      centroids.push(centroid);
+      points.forEach((point, i) => {
+        nearest[i] = Math.min(nearest[i], squaredDistance(point, centroid));
+      });
+    }
+
+    const labels = new Int32Array(n).fill(-1);
+    let iterations = 0;
+    while (iterations < maxIterations) {
+      iterations++;
+      let changed = false;
+      points.forEach((point, i) => {
+        const label = nearestCentroid(point, centroids);
+        if (labels[i] !== label) {
+          labels[i] = label;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+
+      // Cụm rỗng giữ tâm cũ
+      const sums = centroids.map(centroid => new Float64Array(centroid.length));
+      const counts = new Array(k).fill(0);
+      points.forEach((point, i) => {
+        counts[labels[i]]++;
+        point.forEach((value, c) => {
+          sums[labels[i]][c] += value;
+        });
+      });
+      sums.forEach((sum, c) => {
+        if (counts[c] > 0) centroids[c] = sum.map(value => value / counts[c]);
+      });
+    }
+
+    const inertia = points.reduce((sum, point, i) => sum + squaredDistance(point, centroids[labels[i]]), 0);
+    if (!best || inertia < best.inertia) best = { centroids, inertia, iterations };
+  }
+
+  const labels = new Int32Array(allPoints.length);
+  let inertia = 0;
+  allPoints.forEach((point, i) => {
+    labels[i] = nearestCentroid(point, best.centroids);
+    inertia += squaredDistance(point, best.centroids[labels[i]]);
+  });
+  return { labels, centroids: best.centroids, inertia, iterations: best.iterations, sample };
+}
+
+// Helper: Silhouette s = (b - a) / max(a, b) với a = khoảng cách trung bình tới điểm cùng cụm, b = tới cụm gần nhất khác.
+// Tính trên mẫu tối đa SILHOUETTE_SAMPLE_SIZE điểm (so với mọi điểm truyền vào); trả về { score, by_cluster, sample_size }
+function silhouette(points, labels, k) {
+  const n = points.length;
+  const sums = new Array(k).fill(0);
+  const counts = new Array(k).fill(0);
+  const clusterSizes = new Array(k).fill(0);
+  for (const label of labels) clusterSizes[label]++;
+
+  let total = 0;
+  let sampled = 0;
+  for (const i of sampleIndexes(n, SILHOUETTE_SAMPLE_SIZE)) {
+    const own = labels[i];
+    const distances = new Array(k).fill(0);
+    for (let j = 0; j < n; j++) {
+      if (j !== i) distances[labels[j]] += Math.sqrt(squaredDistance(points[i], points[j]));
+    }
+
+    // Điểm duy nhất trong cụm: s = 0 theo quy ước
+    let value = 0;
+    if (clusterSizes[own] > 1) {
+      const a = distances[own] / (clusterSizes[own] - 1);
+      let b = Infinity;
+      for (let c = 0; c < k; c++) {
+        if (c !== own && clusterSizes[c] > 0) b = Math.min(b, distances[c] / clusterSizes[c]);
+      }
+      value = Number.isFinite(b) && Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+    }
+    sums[own] += value;
+    counts[own]++;
+    total += value;
+    sampled++;
+  }
+
+  return {
+    score: total / sampled,
+    by_cluster: sums.map((sum, c) => (counts[c] > 0 ? sum / counts[c] : null)),
+    sample_size: sampled
+  };
+}
+
+const CLUSTER_PARAMS = {
+  ...FEATURE_PARAMS,
+  k: { type: "integer", minimum: 2, maximum: 20, default: 4, description: "Number of clusters" },
+  seed: { type: "integer", minimum: 0, default: 42, description: "Seed for the k-means++ initialization (same seed, same result)" },
+  exclude_anomalies: EXCLUDE_ANOMALIES_PARAM
+};
+
+// Endpoint: /api/clusters - Phân cụm coin bằng k-means trên các cột numeric đã chuẩn hóa
+// Query params:
+//   - k: số cụm (default: 4, 2-20)
+//   - columns: danh sách cột đặc trưng (default: các cột numeric có 80%+ dữ liệu như /api/heatmap)
+//   - log: none | auto (symlog cột có |skewness| > 2) | all (default: auto)
+//   - seed: seed khởi tạo k-means++ (default: 42)
+//   - exclude_anomalies: none | low | medium | high (xem /api/coins)
+// Cụm được đánh số lại theo kích thước giảm dần (cụm 0 lớn nhất); centroid trả về cả đơn vị gốc lẫn z-score
+app.get("/api/clusters", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const params = parseQuery(req.query, CLUSTER_PARAMS);
+  const store = getStoreExcludingAnomalies(params.exclude_anomalies);
+  const space = getFeatureSpace(store, params);
+  const { k } = params;
+
+  if (space.points.length < k) {
+    throw new ApiError(422, "insufficient_data", `Not enough complete rows for ${k} clusters (${space.points.length} found)`, {
+      columns: space.columns,
+      complete_rows: space.points.length,
+      excluded: space.excluded
+    });
+  }
+
+  const result = kMeans(space.points, k, { seed: params.seed });
+  // Silhouette trên mẫu đã fit (so với toàn bộ điểm thì O(mẫu × n))
+  const scores = silhouette(result.sample.map(i => space.points[i]), result.sample.map(i => result.labels[i]), k);
+
+  const sizes = new Array(k).fill(0);
+  for (const label of result.labels) sizes[label]++;
+  const relabel = new Array(k);
+  sizes.map((size, c) => ({ size, c }))
+    .sort((a, b) => b.size - a.size || a.c - b.c)
+    .forEach(({ c }, order) => {
+      relabel[c] = order;
+    });
+
+  const data = space.indexes.map((storeIndex, p) => {
+    const coin = store.coins[storeIndex];
+    const label = result.labels[p];
+    return {
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      market_cap_rank: coin.market_cap_rank,
+      cluster: relabel[label],
+      distance: parseFloat(Math.sqrt(squaredDistance(space.points[p], result.centroids[label])).toFixed(4))
+    };
+  });
+
+  const clusters = result.centroids.map((centroid, c) => {
+    // Coin đại diện: gần tâm cụm nhất
+    let representative = null;
+    data.forEach(row => {
+      if (row.cluster === relabel[c] && (!representative || row.distance < representative.distance)) representative = row;
+    });
+    return {
+      cluster: relabel[c],
+      size: sizes[c],
+      silhouette: scores.by_cluster[c] === null ? null : parseFloat(scores.by_cluster[c].toFixed(4)),
+      centroid: unscaleFeatures(space, centroid),
+      centroid_standardized: Object.fromEntries(space.columns.map((col, i) => [col, parseFloat(centroid[i].toFixed(4))])),
+      representative: representative && { id: representative.id, symbol: representative.symbol, name: representative.name }
+    };
+  }).sort((a, b) => a.cluster - b.cluster);
+
+  res.json({
+    success: true,
+    k: k,
+    columns: space.columns,
+    log_transformed: space.log_transformed,
+    data_points: space.points.length,
+    excluded: space.excluded,
+    fit_sample_size: result.sample.length,
+    iterations: result.iterations,
+    inertia: roundStat(result.inertia),
+    silhouette: {
+      score: parseFloat(scores.score.toFixed(4)),
+      sample_size: scores.sample_size
+    },
+    clusters: clusters,
+    data: data
+  });
+});
+
+const SIMILAR_PARAMS = {
+  ...FEATURE_PARAMS,
+  limit: { type: "integer", minimum: 1, maximum: 50, default: 10, description: "Number of similar coins" }
+};
+
+// Endpoint: /api/coins/:id/similar - Các coin gần nhất (khoảng cách Euclid) trong cùng không gian đặc trưng với /api/clusters
+// Query params:
+//   - limit: số coin trả về (default: 10, max: 50)
+//   - columns, log: như /api/clusters
+app.get("/api/coins/:id/similar", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const query = req.params.id;
+  const params = parseQuery(req.query, SIMILAR_PARAMS);
+  const store = coinStore;
+  const index = findCoinIndex(store, query);
+
+  if (index === -1) {
+    throw new ApiError(404, "not_found", `Coin not found: ${query}`, { suggestions: suggestCoins(store, query) });
+  }
+
+  const coin = store.coins[index];
+  const space = getFeatureSpace(store, params);
+  const position = space.position.get(index);
+  if (position === undefined) {
+    throw new ApiError(422, "insufficient_data", `Coin ${coin.id} is missing values for some feature columns`, {
+      missing_columns: space.columns.filter(col => !Number.isFinite(getNumericColumn(store, col)[index]))
+    });
+  }
+
+  const target = space.points[position];
+  const neighbors = space.points
+    .map((point, p) => ({ p, distance: Math.sqrt(squaredDistance(target, point)) }))
+    .filter(({ p }) => p !== position)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, params.limit);
+
+  const data = neighbors.map(({ p, distance }) => {
+    const other = store.coins[space.indexes[p]];
+    return {
+      id: other.id,
+      symbol: other.symbol,
+      name: other.name,
+      image: other.image,
+      market_cap_rank: other.market_cap_rank,
+      current_price: other.current_price,
+      distance: parseFloat(distance.toFixed(4)),
+      similarity: parseFloat((1 / (1 + distance)).toFixed(4))
+    };
+  });
+
+  res.json({
+    success: true,
+    coin: { id: coin.id, symbol: coin.symbol, name: coin.name },
+    columns: space.columns,
+    log_transformed: space.log_transformed,
+    metric: "euclidean",
+    count: data.length,
+    data: data
+  });
+});
+
+const WORDMAP_PARAMS = {
+  limit: { type: "integer", minimum: 5, maximum: 200, default: 50, description: "Maximum number of coins" },
+  min_market_cap: { type: "number", minimum: 0, default: 0, description: "Only coins with market_cap above this value" },
+  exclude_anomalies: EXCLUDE_ANOMALIES_PARAM
+};
+
+// Endpoint: /api/wordmap - Trả về dữ liệu word map theo market_cap
+// Query params:
+//   - limit: số coin tối đa (default: 50)
+//   - min_market_cap: lọc coin có market_cap >= giá trị này (default: 0)
+//   - exclude_anomalies: none | low | medium | high (xem /api/coins)
+app.get("/api/wordmap", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const { limit, min_market_cap: minMarketCap, exclude_anomalies: excludeAnomalies } = parseQuery(req.query, WORDMAP_PARAMS);
+
+  // Lọc coin có market_cap hợp lệ
+  const validCoins = getStoreExcludingAnomalies(excludeAnomalies).rows
+    .map(coin => {
+      const marketCap = parseFloat(coin.market_cap);
+      const name = String(coin.name || "").trim();
+      const symbol = String(coin.symbol || "").trim().toUpperCase();
+      
+      if (!Number.isFinite(marketCap) || marketCap <= minMarketCap || !name || !symbol) {
+        return null;
+      }
+      
+      return {
+        name: name,
+        symbol: symbol,
+        market_cap: marketCap,
+        current_price: parseFloat(coin.current_price) || 0,
+        image: String(coin.image || "").trim()
+      };
+    })
+    .filter(item => item !== null)
+    .sort((a, b) => b.market_cap - a.market_cap)
+    .slice(0, limit);
+
+  if (validCoins.length === 0) {
+    throw new ApiError(422, "insufficient_data", "No valid coins found for wordmap");
+  }
+
+  // Tính min/max market_cap để normalize size
+  const marketCaps = validCoins.map(c => c.market_cap);
+  const minCap = Math.min(...marketCaps);
+  const maxCap = Math.max(...marketCaps);
+  const capRange = maxCap - minCap || 1;
+
+  // Tạo word map data
+  const wordmapData = validCoins.map((coin, index) => {
+    // Normalize market_cap thành size (10 - 100)
+    const sizeRatio = (coin.market_cap - minCap) / capRange;
+    const size = 10 + sizeRatio * 90; // 10 to 100
+
+    // Color gradient: xanh lục (small) -> vàng -> đỏ (large)
+    const hue = 120 - (sizeRatio * 120); // 120 (green) -> 0 (red)
+    const saturation = 50 + sizeRatio * 50; // 50% -> 100%
     const lightness = 50 - sizeRatio * 20; // 50% -> 30%
 
     return {
@@ -623,130 +4455,1321 @@ app.get("/api/wordmap", async (req, res) => {
 
   res.json({
     success: true,
-    count: wordmapData.length,
-    limit: limit,
-    data: wordmapData,
-    statistics: {
-      total_market_cap: wordmapData.reduce((sum, c) => sum + c.value, 0),
-      min_market_cap: parseFloat(minCap.toFixed(2)),
-      max_market_cap: parseFloat(maxCap.toFixed(2)),
-      avg_market_cap: parseFloat((wordmapData.reduce((sum, c) => sum + c.value, 0) / wordmapData.length).toFixed(2))
+    count: wordmapData.length,
+    limit: limit,
+    data: wordmapData,
+    statistics: {
+      total_market_cap: wordmapData.reduce((sum, c) => sum + c.value, 0),
+      min_market_cap: parseFloat(minCap.toFixed(2)),
+      max_market_cap: parseFloat(maxCap.toFixed(2)),
+      avg_market_cap: parseFloat((wordmapData.reduce((sum, c) => sum + c.value, 0) / wordmapData.length).toFixed(2))
+    }
+  });
+});
+
+// Helper: Màu theo 24h change: Red (negative) -> White (zero) -> Green (positive)
+function getChangeColor(change, minChange, changeRange) {
+  const changeRatio = (change - minChange) / changeRange;
+  let hue, saturation, lightness;
+
+  if (change < 0) {
+    // Red for negative change
+    hue = 0;
+    saturation = Math.abs(changeRatio) * 100;
+    lightness = 70 - Math.abs(changeRatio) * 40;
+  } else if (change > 0) {
+    // Green for positive change
+    hue = 120;
+    saturation = changeRatio * 100;
+    lightness = 70 - changeRatio * 40;
+  } else {
+    // White for zero change
+    hue = 0;
+    saturation = 0;
+    lightness = 80;
+  }
+
+  return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+}
+
+// Nhóm theo quy mô market_cap (min: ngưỡng dưới, tính bằng USD)
+const MARKET_CAP_TIERS = [
+  { name: "Large cap", min: 10e9 },
+  { name: "Mid cap", min: 1e9 },
+  { name: "Small cap", min: 100e6 },
+  { name: "Micro cap", min: 0 }
+];
+const TREEMAP_GROUPINGS = ["category", "tier"];
+const TREEMAP_PARAMS = {
+  limit: { type: "integer", minimum: 5, maximum: 100, default: 50, description: "Number of top coins shown as individual tiles" },
+  group_by: {
+    type: "string", enum: TREEMAP_GROUPINGS,
+    description: "Return a nested tree grouped by category (data/categories.json) or market cap tier instead of a flat list"
+  },
+  exclude_anomalies: EXCLUDE_ANOMALIES_PARAM
+};
+
+// Helper: Cây treemap root -> nhóm -> coin; coin ngoài top N gộp vào nút "Others" của từng nhóm
+// để tổng các nhóm bằng toàn bộ thị trường
+function buildGroupedTreemap(store, groupBy, limit) {
+  const coins = getCoinsByMarketCap(store);
+
+  const groupOf = (coin) => {
+    if (groupBy === "tier") return MARKET_CAP_TIERS.find(tier => coin.market_cap >= tier.min).name;
+    return coinCategories[coin.id] || "Uncategorized";
+  };
+
+  // Top N coin (đủ name/symbol/change) hiển thị riêng, còn lại vào "Others"
+  const leafIds = new Set(coins
+    .filter(coin => coin.name && coin.symbol && coin.market_cap_change_percentage_24h !== null)
+    .slice(0, limit)
+    .map(coin => coin.id));
+  const leaves = coins.filter(coin => leafIds.has(coin.id));
+  const changes = leaves.map(c => c.market_cap_change_percentage_24h);
+  const minChange = Math.min(...changes);
+  const changeRange = Math.max(...changes) - minChange || 1;
+
+  // Cộng dồn market cap và change có trọng số market cap
+  const aggregate = (members) => {
+    const marketCap = members.reduce((sum, c) => sum + c.market_cap, 0);
+    const withChange = members.filter(c => c.market_cap_change_percentage_24h !== null);
+    const weightedCap = withChange.reduce((sum, c) => sum + c.market_cap, 0);
+    const change = weightedCap > 0
+      ? withChange.reduce((sum, c) => sum + c.market_cap * c.market_cap_change_percentage_24h, 0) / weightedCap
+      : null;
+    return { market_cap: marketCap, change_24h: change === null ? null : parseFloat(change.toFixed(2)), count: members.length };
+  };
+  const colorOf = (change) => (change === null ? "hsl(0, 0%, 80%)" : getChangeColor(change, minChange, changeRange));
+
+  const groups = new Map();
+  for (const coin of coins) {
+    const group = groupOf(coin);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(coin);
+  }
+
+  const totalMarketCap = coins.reduce((sum, c) => sum + c.market_cap, 0);
+  const children = [...groups.entries()].map(([group, members]) => {
+    const stats = aggregate(members);
+    const nodes = members.filter(c => leafIds.has(c.id)).map(coin => ({
+      id: coin.id,
+      label: coin.symbol.toUpperCase(),
+      name: coin.name,
+      value: coin.market_cap,
+      market_cap: coin.market_cap,
+      change_24h: parseFloat(coin.market_cap_change_percentage_24h.toFixed(2)),
+      image: coin.image,
+      color: colorOf(coin.market_cap_change_percentage_24h)
+    }));
+    const rest = members.filter(c => !leafIds.has(c.id));
+    if (rest.length > 0) {
+      const others = aggregate(rest);
+      nodes.push({
+        id: `${group}:others`,
+        label: "Others",
+        name: `Others (${rest.length} coins)`,
+        value: others.market_cap,
+        market_cap: others.market_cap,
+        change_24h: others.change_24h,
+        count: others.count,
+        color: colorOf(others.change_24h)
+      });
+    }
+    return {
+      id: group,
+      label: group,
+      value: stats.market_cap,
+      market_cap: stats.market_cap,
+      share: parseFloat(((stats.market_cap / totalMarketCap) * 100).toFixed(2)),
+      change_24h: stats.change_24h,
+      count: stats.count,
+      color: colorOf(stats.change_24h),
+      children: nodes
+    };
+  }).sort((a, b) => b.value - a.value);
+
+  const root = aggregate(coins);
+  return {
+    success: true,
+    group_by: groupBy,
+    limit: limit,
+    count: leaves.length,
+    data: {
+      id: "market",
+      label: "Market",
+      value: root.market_cap,
+      market_cap: root.market_cap,
+      change_24h: root.change_24h,
+      count: root.count,
+      children: children
+    },
+    statistics: {
+      total_market_cap: root.market_cap,
+      group_count: children.length,
+      coin_count: coins.length,
+      leaf_count: leaves.length,
+      leaf_market_cap: leaves.reduce((sum, c) => sum + c.market_cap, 0)
+    }
+  };
+}
+
+// Endpoint: /api/treemap - Trả về top N coin với market_cap và 24h change % để vẽ treemap
+// Query params:
+//   - limit: số coin tối đa (default: 50, max: 100)
+//   - group_by: category (theo file data/categories.json) | tier (large/mid/small/micro cap)
+//               -> trả về cây lồng nhau thay vì danh sách phẳng
+//   - exclude_anomalies: none | low | medium | high (xem /api/coins)
+app.get("/api/treemap", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const { limit, group_by: groupBy, exclude_anomalies: excludeAnomalies } = parseQuery(req.query, TREEMAP_PARAMS);
+  const store = getStoreExcludingAnomalies(excludeAnomalies);
+
+  if (groupBy) {
+    if (getCoinsByMarketCap(store).length === 0) {
+      throw new ApiError(422, "insufficient_data", "No valid coins found for treemap");
+    }
+    return res.json(buildGroupedTreemap(store, groupBy, limit));
+  }
+
+  // Lọc coin có market_cap và change_24h hợp lệ
+  const validCoins = store.rows
+    .map(coin => {
+      const marketCap = parseFloat(coin.market_cap);
+      const change24h = parseFloat(coin.market_cap_change_percentage_24h);
+      const name = String(coin.name || "").trim();
+      const symbol = String(coin.symbol || "").trim().toUpperCase();
+      const image = String(coin.image || "").trim();
+      
+      if (!Number.isFinite(marketCap) || !Number.isFinite(change24h) || !name || !symbol) {
+        return null;
+      }
+      
+      return {
+        name: name,
+        symbol: symbol,
+        market_cap: marketCap,
+        change_24h: change24h,
+        image: image
+      };
+    })
+    .filter(item => item !== null)
+    .sort((a, b) => b.market_cap - a.market_cap)
+    .slice(0, limit);
+
+  if (validCoins.length === 0) {
+    throw new ApiError(422, "insufficient_data", "No valid coins found for treemap");
+  }
+
+  // Tính min/max market_cap để normalize size
+  const marketCaps = validCoins.map(c => c.market_cap);
+  const minCap = Math.min(...marketCaps);
+  const maxCap = Math.max(...marketCaps);
+  const capRange = maxCap - minCap || 1;
+
+  // Tính min/max change_24h để color gradient
+  const changes = validCoins.map(c => c.change_24h);
+  const minChange = Math.min(...changes);
+  const maxChange = Math.max(...changes);
+  const changeRange = maxChange - minChange || 1;
+
+  // Tạo treemap data
+  const treemapData = validCoins.map((coin, index) => {
+    // Size dựa trên market_cap
+    const sizeRatio = (coin.market_cap - minCap) / capRange;
+    const size = 10 + sizeRatio * 90; // 10 to 100
+
+    return {
+      id: coin.symbol.toLowerCase(),
+      label: `${coin.symbol}`,
+      value: coin.market_cap,
+      size: parseFloat(size.toFixed(2)),
+      rank: index + 1,
+      name: coin.name,
+      market_cap: coin.market_cap,
+      change_24h: parseFloat(coin.change_24h.toFixed(2)),
+      image: coin.image,
+      color: getChangeColor(coin.change_24h, minChange, changeRange),
+      weight: parseFloat((sizeRatio * 100).toFixed(2))
+    };
+  });
+
+  res.json({
+    success: true,
+    count: treemapData.length,
+    limit: limit,
+    data: treemapData,
+    statistics: {
+      total_market_cap: treemapData.reduce((sum, c) => sum + c.market_cap, 0),
+      min_market_cap: parseFloat(minCap.toFixed(2)),
+      max_market_cap: parseFloat(maxCap.toFixed(2)),
+      avg_market_cap: parseFloat((treemapData.reduce((sum, c) => sum + c.market_cap, 0) / treemapData.length).toFixed(2)),
+      min_change_24h: parseFloat(minChange.toFixed(2)),
+      max_change_24h: parseFloat(maxChange.toFixed(2)),
+      avg_change_24h: parseFloat((treemapData.reduce((sum, c) => sum + c.change_24h, 0) / treemapData.length).toFixed(2))
+    }
+  });
+});
+
+// Endpoint: /api/market/overview - Số liệu tổng quan toàn thị trường cho header dashboard
+//   (tổng market cap/volume, thay đổi 24h, dominance BTC/ETH/top 10, gainers vs losers, median 24h change, chỉ số HHI)
+app.get("/api/market/overview", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  parseQuery(req.query, {});
+  const coins = getCoinsByMarketCap(coinStore);
+
+  if (coins.length === 0) {
+    throw new ApiError(422, "insufficient_data", "No valid market cap data");
+  }
+
+  const totalMarketCap = coins.reduce((sum, c) => sum + c.market_cap, 0);
+  const totalVolume = coins.reduce((sum, c) => sum + (c.total_volume || 0), 0);
+
+  // Thay đổi market cap 24h: so với tổng market cap 24h trước của các coin có dữ liệu thay đổi
+  const withChange = coins.filter(c => c.market_cap_change_24h !== null);
+  const capChange = withChange.reduce((sum, c) => sum + c.market_cap_change_24h, 0);
+  const capBefore = withChange.reduce((sum, c) => sum + c.market_cap - c.market_cap_change_24h, 0);
+
+  // Dominance (% tổng market cap)
+  const share = (marketCap) => (marketCap / totalMarketCap) * 100;
+  const capOf = (id) => {
+    const coin = coins.find(c => c.id === id);
+    return coin ? coin.market_cap : 0;
+  };
+  const top10Cap = coins.slice(0, 10).reduce((sum, c) => sum + c.market_cap, 0);
+
+  // Gainers vs losers theo price_change_percentage_24h
+  const changes = coins.map(c => c.price_change_percentage_24h).filter(v => v !== null);
+  const gainers = changes.filter(v => v > 0).length;
+  const losers = changes.filter(v => v < 0).length;
+
+  // Herfindahl-Hirschman Index: tổng bình phương thị phần (%), 0 - 10000
+  const hhi = coins.reduce((sum, c) => sum + Math.pow(share(c.market_cap), 2), 0);
+
+  res.json({
+    success: true,
+    data: {
+      coin_count: coins.length,
+      total_market_cap: totalMarketCap,
+      total_volume: totalVolume,
+      volume_to_market_cap: parseFloat((totalVolume / totalMarketCap).toFixed(4)),
+      market_cap_change_24h: capChange,
+      market_cap_change_percentage_24h: capBefore > 0 ? parseFloat(((capChange / capBefore) * 100).toFixed(4)) : null,
+      dominance: {
+        btc: parseFloat(share(capOf("bitcoin")).toFixed(2)),
+        eth: parseFloat(share(capOf("ethereum")).toFixed(2)),
+        top10: parseFloat(share(top10Cap).toFixed(2))
+      },
+      breadth: {
+        gainers: gainers,
+        losers: losers,
+        unchanged: changes.length - gainers - losers,
+        median_change_percentage_24h: changes.length > 0 ? parseFloat(percentile(changes, 50).toFixed(4)) : null
+      },
+      concentration: {
+        hhi: parseFloat(hhi.toFixed(2)),
+        hhi_normalized: coins.length > 1
+          ? parseFloat(((hhi / 10000 - 1 / coins.length) / (1 - 1 / coins.length)).toFixed(4))
+          : 1
+      },
+      loaded_at: datasetInfo.loaded_at
+    }
+  });
+});
+
+const MOVER_METRICS = ["price_change_percentage_24h", "market_cap_change_percentage_24h", "ath_change_percentage"];
+const MOVERS_PARAMS = {
+  metric: { type: "string", enum: MOVER_METRICS, default: "price_change_percentage_24h" },
+  direction: { type: "string", enum: ["up", "down"], default: "up" },
+  min_volume: { type: "number", default: 0 },
+  min_market_cap: { type: "number", default: 0 },
+  limit: { type: "integer", minimum: 1, maximum: 100, default: 10 }
+};
+
+// Endpoint: /api/movers - Top tăng/giảm theo một chỉ số, lọc theo volume/market cap để bỏ microcap bị pump
+// Query params:
+//   - metric: price_change_percentage_24h | market_cap_change_percentage_24h | ath_change_percentage
+//             (default: price_change_percentage_24h)
+//   - direction: up | down (default: up)
+//   - min_volume, min_market_cap: ngưỡng tối thiểu (default: 0)
+//   - limit: số coin mỗi danh sách (default: 10, max: 100)
+app.get("/api/movers", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const params = parseQuery(req.query, MOVERS_PARAMS);
+  const { metric, direction, limit } = params;
+  const thresholds = { min_volume: params.min_volume, min_market_cap: params.min_market_cap };
+
+  // Chỉ giữ coin đủ thanh khoản / quy mô
+  const eligible = coinStore.coins
+    .filter(coin =>
+      (coin.total_volume || 0) >= thresholds.min_volume &&
+      (coin.market_cap || 0) >= thresholds.min_market_cap
+    );
+
+  const summarize = (coin) => ({
+    id: coin.id,
+    symbol: coin.symbol,
+    name: coin.name,
+    image: coin.image,
+    market_cap_rank: coin.market_cap_rank,
+    current_price: coin.current_price,
+    market_cap: coin.market_cap,
+    total_volume: coin.total_volume,
+    price_change_percentage_24h: coin.price_change_percentage_24h,
+    market_cap_change_percentage_24h: coin.market_cap_change_percentage_24h,
+    ath_change_percentage: coin.ath_change_percentage,
+    atl_change_percentage: coin.atl_change_percentage
+  });
+  const rankBy = (field, descending) => eligible
+    .filter(coin => coin[field] !== null)
+    .sort((a, b) => (descending ? b[field] - a[field] : a[field] - b[field]))
+    .slice(0, limit)
+    .map(summarize);
+
+  res.json({
+    success: true,
+    metric: metric,
+    direction: direction,
+    filters: thresholds,
+    eligible_count: eligible.length,
+    count: Math.min(limit, eligible.filter(coin => coin[metric] !== null).length),
+    data: rankBy(metric, direction === "up"),
+    // ath_change_percentage <= 0: càng gần 0 càng sát ATH; atl_change_percentage >= 0: càng nhỏ càng sát ATL
+    near_ath: rankBy("ath_change_percentage", true),
+    near_atl: rankBy("atl_change_percentage", false)
+  });
+});
+
+// Endpoint: /api/schema - Mô tả các cột trong CSV (kiểu suy luận, null, distinct, min/max, mẫu, có vẽ được không)
+app.get("/api/schema", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+  parseQuery(req.query, {});
+
+  const store = coinStore;
+  const columns = getSchema(store);
+
+  res.json({
+    success: true,
+    total_records: store.size,
+    count: columns.length,
+    chartable_columns: columns.filter(col => col.chartable).map(col => col.name),
+    columns: columns
+  });
+});
+
+const QUALITY_PARAMS = {
+  limit: { type: "integer", minimum: 1, maximum: 1000, default: 100 }
+};
+
+// Endpoint: /api/quality - Báo cáo chất lượng dữ liệu (trùng id/symbol, ngày lỗi, roi lỗi, supply bất thường)
+// Query params:
+//   - limit: số dòng vi phạm tối đa trả về cho mỗi check (default: 100, max: 1000)
+app.get("/api/quality", cacheResponse, async (req, res) => {
+  await ensureLoaded();
+
+  const { limit } = parseQuery(req.query, QUALITY_PARAMS);
+  const store = coinStore;
+  const issues = memoize(store, "quality", () => buildQualityReport(store));
+
+  const checks = {};
+  let totalIssues = 0;
+  for (const [check, rows] of Object.entries(issues)) {
+    totalIssues += rows.length;
+    checks[check] = {
+      count: rows.length,
+      truncated: rows.length > limit,
+      rows: rows.slice(0, limit)
+    };
+  }
+
+  res.json({
+    success: true,
+    total_records: store.size,
+    total_issues: totalIssues,
+    checks: checks
+  });
+});
+
+// Endpoint: /api/status - Trạng thái dataset đang phục vụ (loaded_at, file nguồn, số dòng)
+app.get("/api/status", async (req, res) => {
+  await ensureLoaded();
+  parseQuery(req.query, {});
+
+  res.json({
+    success: true,
+    dataset: getDatasetStatus()
+  });
+});
+
+// Endpoint: POST /api/admin/reload - Parse lại CSV ngay lập tức (không cần restart server)
+// File API key cũng được đọc lại ở request kế tiếp
+app.post("/api/admin/reload", async (req, res) => {
+  apiKeyConfig = null;
+  const [reloaded] = await Promise.all([reloadDataset(), reloadHistory()]);
+
+  if (!reloaded) {
+    throw new ApiError(500, "reload_failed", lastReloadError ? lastReloadError.message : "Reload failed", {
+      dataset: getDatasetStatus()
+    });
+  }
+
+  res.json({
+    success: true,
+    dataset: getDatasetStatus()
+  });
+});
+
+const STREAM_PARAMS = {
+  last_event_id: { type: "integer", minimum: 0 }
+};
+
+// Endpoint: /api/stream - Server-Sent Events khi dataset thay đổi
+// Event:
+//   - ready: khi kết nối mới (version hiện tại)
+//   - dataset: mỗi lần dataset đổi version, kèm diff các coin thay đổi vượt ngưỡng (xem diffCoinStores)
+//   - heartbeat: mỗi STREAM_HEARTBEAT_MS (không có id, giữ kết nối qua proxy)
+//   - reset: Last-Event-ID quá cũ hoặc không biết (vd: server restart) -> client nên tải lại toàn bộ dữ liệu
+// Resume: header Last-Event-ID (EventSource tự gửi khi kết nối lại) hoặc query last_event_id -> phát lại event bị lỡ
+app.get("/api/stream", async (req, res) => {
+  await ensureLoaded();
+
+  const params = parseQuery(req.query, STREAM_PARAMS);
+  const header = (req.get("Last-Event-ID") || "").trim();
+  const lastEventId = header !== "" ? Number(header) : params.last_event_id;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // tắt buffer của nginx
+  });
+
+  const current = () => ({
+    version: datasetInfo.version,
+    loaded_at: datasetInfo.loaded_at,
+    row_count: datasetInfo.row_count,
+    last_event_id: lastStreamEventId
+  });
+
+  if (lastEventId === undefined) {
+    writeStreamEvent(res, { id: lastStreamEventId, event: "ready", data: current() });
+  } else {
+    const oldestId = streamEvents.length > 0 ? streamEvents[0].id : lastStreamEventId + 1;
+    if (!Number.isInteger(lastEventId) || lastEventId > lastStreamEventId || lastEventId < oldestId - 1) {
+      writeStreamEvent(res, { id: lastStreamEventId, event: "reset", data: current() });
+    } else {
+      for (const entry of streamEvents) {
+        if (entry.id > lastEventId) writeStreamEvent(res, entry);
+      }
     }
+  }
+
+  streamClients.add(res);
+  const heartbeat = setInterval(() => {
+    writeStreamEvent(res, { event: "heartbeat", data: { time: new Date().toISOString(), version: datasetInfo.version } });
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    streamClients.delete(res);
   });
 });
 
-// Endpoint: /api/treemap - Trả về top N coin với market_cap và 24h change % để vẽ treemap
+// Endpoint: POST /api/alerts - Tạo rule cảnh báo, đánh giá lại mỗi lần dataset được load
+// Body (JSON), ví dụ:
+//   { "coin": "bitcoin", "metric": "current_price", "condition": "crosses_above", "value": 70000 }
+//   { "top": 100, "metric": "price_change_percentage_24h", "condition": "lt", "value": -15 }
+//   { "metric": "market_cap_rank", "condition": "crosses_below", "value": 10 }   (vào top 10)
+// Điều kiện so sánh đang đúng thì báo ngay trong response (triggered, tối đa ALERT_MAX_EVENTS_PER_RULE;
+// số coin còn lại ở triggered_suppressed); crosses_* chỉ báo khi reload vượt ngưỡng. Đã có ALERT_RULES_MAX rule -> 409
+app.post("/api/alerts", async (req, res) => {
+  await ensureLoaded();
+  parseQuery(req.query, {});
+
+  const state = getAlertState();
+  const fields = parseAlertRule(req.body, coinStore);
+  if (state.rules.length >= ALERT_RULES_MAX) {
+    throw new ApiError(409, "limit_exceeded", `Cannot create more than ${ALERT_RULES_MAX} alert rules`);
+  }
+  const rule = {
+    id: state.next_rule_id++,
+    ...fields,
+    created_at: new Date().toISOString(),
+    trigger_count: 0,
+    last_triggered_at: null,
+    state: { matching: [] }
+  };
+  state.rules.push(rule);
+
+  const { events, suppressed } = evaluateAlertRule(rule, coinStore, null);
+  recordAlertEvents(events);
+
+  res.status(201).json({
+    success: true,
+    data: formatAlertRule(rule),
+    triggered: events,
+    triggered_suppressed: suppressed
+  });
+});
+
+// Endpoint: /api/alerts - Danh sách rule cảnh báo
+app.get("/api/alerts", (req, res) => {
+  parseQuery(req.query, {});
+  const rules = getAlertState().rules.map(formatAlertRule);
+
+  res.json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+const ALERT_EVENTS_PARAMS = {
+  rule_id: { type: "integer", minimum: 1 },
+  coin: { type: "string", maxLength: 200 },
+  since: { type: "string", format: "date-time" },
+  limit: { type: "integer", minimum: 1, maximum: 500, default: 50 }
+};
+
+// Endpoint: /api/alerts/events - Các lần cảnh báo đã kích hoạt (mới nhất trước), kèm trạng thái gửi webhook
 // Query params:
-//   - limit: số coin tối đa (default: 50, max: 100)
-app.get("/api/treemap", async (req, res) => {
+//   - rule_id, coin (id): lọc theo rule / coin
+//   - since: chỉ lấy cảnh báo từ thời điểm này (ISO date hoặc epoch ms)
+//   - limit: số cảnh báo (default: 50, max: 500)
+app.get("/api/alerts/events", (req, res) => {
+  const { rule_id: ruleId, coin, since, limit } = parseQuery(req.query, ALERT_EVENTS_PARAMS);
+  const events = getAlertState().events.filter(event =>
+    (ruleId === undefined || event.rule_id === ruleId) &&
+    (coin === undefined || event.coin.id.toLowerCase() === coin.toLowerCase()) &&
+    (since === undefined || Date.parse(event.triggered_at) >= since)
+  );
+
+  res.json({
+    success: true,
+    total: events.length,
+    count: Math.min(limit, events.length),
+    data: events.slice(-limit).reverse()
+  });
+});
+
+// Endpoint: DELETE /api/alerts/:id - Xóa rule (các cảnh báo đã kích hoạt vẫn được giữ)
+app.delete("/api/alerts/:id", (req, res) => {
+  const state = getAlertState();
+  const index = state.rules.findIndex(rule => String(rule.id) === req.params.id);
+  if (index === -1) throw new ApiError(404, "not_found", `Alert rule not found: ${req.params.id}`);
+
+  const [rule] = state.rules.splice(index, 1);
+  alertMatching.delete(rule.id);
+  saveAlertState();
+
+  res.json({
+    success: true,
+    data: formatAlertRule(rule)
+  });
+});
+
+// Endpoint: /api/watchlists - Danh sách watchlist (số coin, số coin không còn trong dataset)
+app.get("/api/watchlists", async (req, res) => {
   await ensureLoaded();
+  parseQuery(req.query, {});
+  const watchlists = getWatchlistState().watchlists.map(watchlist => formatWatchlist(watchlist, coinStore, false));
 
-  const limit = Math.min(100, Math.max(5, parseInt(req.query.limit) || 50));
+  res.json({
+    success: true,
+    count: watchlists.length,
+    data: watchlists
+  });
+});
 
-  // Lọc coin có market_cap và change_24h hợp lệ
-  const validCoins = allCoinsFromCSV
-    .map(coin => {
-      const marketCap = parseFloat(coin.market_cap);
-      const change24h = parseFloat(coin.market_cap_change_percentage_24h);
-      const name = String(coin.name || "").trim();
-      const symbol = String(coin.symbol || "").trim().toUpperCase();
-      const image = String(coin.image || "").trim();
-      
-      if (!Number.isFinite(marketCap) || !Number.isFinite(change24h) || !name || !symbol) {
-        return null;
+// Endpoint: POST /api/watchlists - Tạo watchlist. Body: { "name": "Layer 1", "coins": ["bitcoin", "eth", "solana"] }
+app.post("/api/watchlists", async (req, res) => {
+  await ensureLoaded();
+  const state = getWatchlistState();
+  const fields = parseWatchlistBody(req.body, coinStore);
+  assertUniqueName(state.watchlists, fields.name, null, "watchlist");
+
+  const now = new Date().toISOString();
+  const watchlist = { id: state.next_id++, ...fields, created_at: now, updated_at: now };
+  state.watchlists.push(watchlist);
+  saveWatchlistState();
+
+  res.status(201).json({
+    success: true,
+    data: formatWatchlist(watchlist, coinStore, true)
+  });
+});
+
+// Endpoint: /api/watchlists/:id - Watchlist kèm dữ liệu hiện tại của từng coin
+// Coin đã biến mất khỏi dataset vẫn được giữ trong watchlist và trả về { id, missing: true }
+app.get("/api/watchlists/:id", async (req, res) => {
+  await ensureLoaded();
+  parseQuery(req.query, {});
+  const watchlist = findSavedItem(getWatchlistState().watchlists, req.params.id, "Watchlist");
+
+  res.json({
+    success: true,
+    data: formatWatchlist(watchlist, coinStore, true)
+  });
+});
+
+// Endpoint: PATCH /api/watchlists/:id - Đổi tên và/hoặc thay danh sách coin
+app.patch("/api/watchlists/:id", async (req, res) => {
+  await ensureLoaded();
+  const state = getWatchlistState();
+  const watchlist = findSavedItem(state.watchlists, req.params.id, "Watchlist");
+  const fields = parseWatchlistBody(req.body, coinStore, watchlist);
+  if (fields.name !== undefined) assertUniqueName(state.watchlists, fields.name, watchlist.id, "watchlist");
+
+  Object.assign(watchlist, fields, { updated_at: new Date().toISOString() });
+  saveWatchlistState();
+
+  res.json({
+    success: true,
+    data: formatWatchlist(watchlist, coinStore, true)
+  });
+});
+
+// Endpoint: DELETE /api/watchlists/:id
+app.delete("/api/watchlists/:id", async (req, res) => {
+  await ensureLoaded();
+  const state = getWatchlistState();
+  const watchlist = findSavedItem(state.watchlists, req.params.id, "Watchlist");
+  state.watchlists = state.watchlists.filter(item => item !== watchlist);
+  saveWatchlistState();
+
+  res.json({
+    success: true,
+    data: formatWatchlist(watchlist, coinStore, false)
+  });
+});
+
+// Helper: Portfolio kèm định giá (withHoldings = false: chỉ phần summary)
+function formatPortfolio(portfolio, store, withHoldings) {
+  const { holdings, summary } = valuePortfolio(portfolio, store);
+  return {
+    id: portfolio.id,
+    name: portfolio.name,
+    created_at: portfolio.created_at,
+    updated_at: portfolio.updated_at,
+    summary: summary,
+    ...(withHoldings ? { holdings: holdings } : {})
+  };
+}
+
+// Endpoint: /api/portfolios - Danh sách portfolio kèm tổng giá trị và P&L
+app.get("/api/portfolios", async (req, res) => {
+  await ensureLoaded();
+  parseQuery(req.query, {});
+  const portfolios = getPortfolioState().portfolios.map(portfolio => formatPortfolio(portfolio, coinStore, false));
+
+  res.json({
+    success: true,
+    count: portfolios.length,
+    loaded_at: datasetInfo.loaded_at,
+    data: portfolios
+  });
+});
+
+// Endpoint: POST /api/portfolios - Tạo portfolio
+// Body: { "name": "Main", "holdings": [{ "coin": "bitcoin", "quantity": 0.5, "cost_basis": 25000 }] }
+app.post("/api/portfolios", async (req, res) => {
+  await ensureLoaded();
+  const state = getPortfolioState();
+  const fields = parsePortfolioBody(req.body, coinStore);
+  assertUniqueName(state.portfolios, fields.name, null, "portfolio");
+
+  const now = new Date().toISOString();
+  const portfolio = { id: state.next_id++, ...fields, created_at: now, updated_at: now };
+  state.portfolios.push(portfolio);
+  savePortfolioState();
+
+  res.status(201).json({
+    success: true,
+    data: formatPortfolio(portfolio, coinStore, true)
+  });
+});
+
+// Endpoint: /api/portfolios/:id - Định giá portfolio theo dataset hiện tại
+//   (giá trị, tỉ trọng, P&L chưa thực hiện so với cost basis, P&L 24h theo price_change_24h, mức độ tập trung)
+app.get("/api/portfolios/:id", async (req, res) => {
+  await ensureLoaded();
+  parseQuery(req.query, {});
+  const portfolio = findSavedItem(getPortfolioState().portfolios, req.params.id, "Portfolio");
+
+  res.json({
+    success: true,
+    loaded_at: datasetInfo.loaded_at,
+    data: formatPortfolio(portfolio, coinStore, true)
+  });
+});
+
+// Endpoint: PATCH /api/portfolios/:id - Đổi tên và/hoặc thay toàn bộ holdings
+app.patch("/api/portfolios/:id", async (req, res) => {
+  await ensureLoaded();
+  const state = getPortfolioState();
+  const portfolio = findSavedItem(state.portfolios, req.params.id, "Portfolio");
+  const fields = parsePortfolioBody(req.body, coinStore, portfolio);
+  if (fields.name !== undefined) assertUniqueName(state.portfolios, fields.name, portfolio.id, "portfolio");
+
+  Object.assign(portfolio, fields, { updated_at: new Date().toISOString() });
+  savePortfolioState();
+
+  res.json({
+    success: true,
+    data: formatPortfolio(portfolio, coinStore, true)
+  });
+});
+
+// Endpoint: DELETE /api/portfolios/:id
+app.delete("/api/portfolios/:id", async (req, res) => {
+  await ensureLoaded();
+  const state = getPortfolioState();
+  const portfolio = findSavedItem(state.portfolios, req.params.id, "Portfolio");
+  state.portfolios = state.portfolios.filter(item => item !== portfolio);
+  savePortfolioState();
+
+  res.json({
+    success: true,
+    data: { id: portfolio.id, name: portfolio.name }
+  });
+});
+
+// ===== OpenAPI =====
+
+// Helper: Schema object đóng (không cho thêm field ngoài spec) để test drift bắt được field mới/mất
+function objectSchema(properties, required = Object.keys(properties)) {
+  return { type: "object", properties, required, additionalProperties: false };
+}
+
+const nullableNumber = { type: "number", nullable: true };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const OPENAPI_SCHEMAS = {
+  Error: objectSchema({
+    success: { type: "boolean", enum: [false] },
+    error: objectSchema({
+      code: { type: "string", description: "Machine-readable code, e.g. invalid_query, not_found, insufficient_data" },
+      message: { type: "string" },
+      details: {
+        nullable: true,
+        description: "invalid_query: list of per-parameter errors; other codes: extra context or null",
+        oneOf: [
+          { type: "array", items: ref("ParamError") },
+          { type: "object", additionalProperties: true }
+        ]
       }
-      
-      return {
-        name: name,
-        symbol: symbol,
-        market_cap: marketCap,
-        change_24h: change24h,
-        image: image
-      };
     })
-    .filter(item => item !== null)
-    .sort((a, b) => b.market_cap - a.market_cap)
-    .slice(0, limit);
+  }),
+  ParamError: objectSchema({
+    param: { type: "string" },
+    code: { type: "string", enum: ["unknown_parameter", "unknown_column", "unknown_operator", "invalid_value", "out_of_range", "column_not_numeric"] },
+    message: { type: "string" }
+  }),
+  Coin: objectSchema({
+    id: { type: "string" },
+    symbol: { type: "string" },
+    name: { type: "string" },
+    image: { type: "string" },
+    ...Object.fromEntries(NUMERIC_FIELDS.map(field => [field, nullableNumber])),
+    ath_date: { type: "string", format: "date-time", nullable: true },
+    atl_date: { type: "string", format: "date-time", nullable: true },
+    roi: { type: "object", nullable: true, additionalProperties: true },
+    last_updated: { type: "string", format: "date-time", nullable: true }
+  }, []),
+  CoinList: objectSchema({
+    success: { type: "boolean" },
+    pagination: objectSchema({
+      page: { type: "integer" },
+      limit: { type: "integer" },
+      total: { type: "integer" },
+      total_pages: { type: "integer" },
+      has_next: { type: "boolean" },
+      has_prev: { type: "boolean" }
+    }),
+    count: { type: "integer" },
+    data: { type: "array", items: ref("Coin") }
+  }),
+  HistogramBin: objectSchema({
+    bin: { type: "integer" },
+    label: { type: "string" },
+    range: { type: "string" },
+    start: { type: "number" },
+    end: { type: "number" },
+    logStart: nullableNumber,
+    logEnd: nullableNumber,
+    count: { type: "integer" },
+    percentage: { type: "number" },
+    color: { type: "string" }
+  }),
+  Histogram: objectSchema({
+    success: { type: "boolean" },
+    message: { type: "string", description: "Only present when the column has no valid values" },
+    column: { type: "string" },
+    statistics: objectSchema({
+      count: { type: "integer" },
+      min: { type: "number" },
+      max: { type: "number" },
+      mean: { type: "number" },
+      median: { type: "number" },
+      range: { type: "number" },
+      maxCount: { type: "integer" },
+      std_dev: { type: "number" },
+      skewness: { type: "number" },
+      kurtosis: { type: "number" },
+      p5: { type: "number" },
+      p25: { type: "number" },
+      p75: { type: "number" },
+      p95: { type: "number" }
+    }, ["count", "min", "max", "mean", "median"]),
+    bins_count: { type: "integer" },
+    method: { type: "string", enum: HISTOGRAM_METHODS },
+    scale: { type: "string", enum: ["linear", "logarithmic", "symlog"], description: "Axis the bins were computed on" },
+    excluded_non_positive: { type: "integer", description: "Values <= 0 left out of a log axis (columns that are never negative)" },
+    histogram: { type: "array", items: ref("HistogramBin") },
+    kde: objectSchema({
+      bandwidth: { type: "number" },
+      points: {
+        type: "array",
+        items: objectSchema({ x: { type: "number" }, scaled_x: { type: "number" }, density: { type: "number" } })
+      }
+    })
+  }, ["success", "column", "statistics", "histogram"]),
+  ScatterPoint: objectSchema({
+    id: { type: "string" },
+    symbol: { type: "string" },
+    name: { type: "string" },
+    x: { type: "number" },
+    y: { type: "number" },
+    residual_z: { type: "number", description: "Only when fit=true" },
+    outlier: { type: "boolean", description: "Only when fit=true" }
+  }, ["id", "symbol", "name", "x", "y"]),
+  Scatter: objectSchema({
+    success: { type: "boolean" },
+    mode: { type: "string", enum: ["binned", "points"] },
+    x: { type: "string" },
+    y: { type: "string" },
+    bins: { type: "integer" },
+    log: objectSchema({ x: { type: "boolean" }, y: { type: "boolean" } }),
+    scale: objectSchema({
+      x: { type: "string", enum: ["linear", "logarithmic", "symlog"] },
+      y: { type: "string", enum: ["linear", "logarithmic", "symlog"] }
+    }),
+    x_edges: { type: "array", items: { type: "number" } },
+    y_edges: { type: "array", items: { type: "number" } },
+    total: { type: "integer" },
+    excluded_non_positive: { type: "integer", description: "Rows dropped because a positive-only column had a value <= 0 on a log axis" },
+    stats: objectSchema({ correlation: nullableNumber, correlation_raw: nullableNumber }),
+    regression: {
+      ...objectSchema({
+        type: { type: "string", enum: ["linear", "log-log", "semi-log-x", "semi-log-y"] },
+        equation: { type: "string" },
+        slope: { type: "number" },
+        intercept: { type: "number" },
+        r_squared: { type: "number" },
+        residual_std: { type: "number" },
+        outlier_threshold: { type: "number" },
+        outlier_count: { type: "integer" },
+        line: { type: "array", items: objectSchema({ x: { type: "number" }, y: { type: "number" } }) }
+      }),
+      nullable: true
+    },
+    data: {
+      description: "mode=binned: [x_bin, y_bin, count] cells; mode=points: coins",
+      oneOf: [
+        { type: "array", items: { type: "array", items: { type: "integer" }, minItems: 3, maxItems: 3 } },
+        { type: "array", items: ref("ScatterPoint") }
+      ]
+    },
+    bins_count: { type: "integer", description: "Only in mode=binned" },
+    outliers: { type: "array", items: ref("ScatterPoint"), description: "Only in mode=binned" },
+    downsampled: { type: "boolean", description: "Only in mode=points" },
+    count: { type: "integer", description: "Only in mode=points" }
+  }, ["success", "mode", "x", "y", "bins", "log", "x_edges", "y_edges", "total", "stats", "regression", "data"]),
+  Heatmap: objectSchema({
+    success: { type: "boolean" },
+    method: { type: "string", enum: CORRELATION_METHODS },
+    missing: { type: "string", enum: ["pairwise", "listwise"] },
+    order: { type: "string", enum: ["original", "cluster"] },
+    columns: { type: "array", items: { type: "string" } },
+    log_transformed: { type: "array", items: { type: "string" } },
+    data_points: { type: "integer" },
+    data_completeness: { type: "string", description: "Percentage, e.g. \"95.2%\"" },
+    total_records: { type: "integer" },
+    correlation_matrix: { type: "array", items: { type: "array", items: nullableNumber } },
+    p_value_matrix: { type: "array", items: { type: "array", items: nullableNumber } },
+    sample_size_matrix: { type: "array", items: { type: "array", items: { type: "integer" } } },
+    description: { type: "string" },
+    clustering: objectSchema({
+      linkage: { type: "string" },
+      distance: { type: "string" },
+      merges: {
+        type: "array",
+        items: objectSchema({
+          left: { type: "array", items: { type: "string" } },
+          right: { type: "array", items: { type: "string" } },
+          distance: { type: "number" }
+        })
+      }
+    })
+  }, [
+    "success", "method", "missing", "order", "columns", "log_transformed", "data_points", "data_completeness",
+    "total_records", "correlation_matrix", "p_value_matrix", "sample_size_matrix", "description"
+  ]),
+  Anomalies: objectSchema({
+    success: { type: "boolean" },
+    method: { type: "string", enum: ["mad", "iqr"] },
+    threshold: { type: "number" },
+    total_records: { type: "integer" },
+    flagged_count: { type: "integer", description: "Coins matching the severity / rules filters (data is cut to limit)" },
+    counts: objectSchema({
+      by_severity: { type: "object", additionalProperties: { type: "integer" } },
+      by_rule: { type: "object", additionalProperties: { type: "integer" } }
+    }),
+    rules: {
+      type: "object",
+      description: "Consistency rules and the score needed for each severity",
+      additionalProperties: objectSchema({
+        metric: { type: "string" },
+        description: { type: "string" },
+        thresholds: objectSchema(Object.fromEntries(ANOMALY_SEVERITIES.map(severity => [severity, { type: "number" }])))
+      })
+    },
+    metrics: {
+      type: "array",
+      description: "Normal range of each metric tested for outliers (null bounds when the metric has no spread)",
+      items: objectSchema({
+        metric: { type: "string" },
+        log_transformed: { type: "boolean" },
+        median: nullableNumber,
+        lower: nullableNumber,
+        upper: nullableNumber
+      })
+    },
+    count: { type: "integer" },
+    data: {
+      type: "array",
+      items: objectSchema({
+        id: { type: "string" },
+        symbol: { type: "string" },
+        name: { type: "string" },
+        market_cap_rank: nullableNumber,
+        severity: { type: "string", enum: ANOMALY_SEVERITIES },
+        anomalies: {
+          type: "array",
+          items: objectSchema({
+            rule: { type: "string", description: "Consistency rule name, or outlier" },
+            metric: { type: "string" },
+            severity: { type: "string", enum: ANOMALY_SEVERITIES },
+            value: nullableNumber,
+            score: { type: "number" },
+            message: { type: "string" }
+          })
+        }
+      })
+    }
+  }),
+  Clusters: objectSchema({
+    success: { type: "boolean" },
+    k: { type: "integer" },
+    columns: { type: "array", items: { type: "string" } },
+    log_transformed: { type: "array", items: { type: "string" } },
+    data_points: { type: "integer", description: "Coins with a value in every feature column" },
+    excluded: { type: "integer", description: "Coins skipped because of missing feature values" },
+    fit_sample_size: { type: "integer", description: "Coins the centroids were fitted on (evenly spaced sample); every coin is then assigned to its nearest centroid" },
+    iterations: { type: "integer", description: "Lloyd iterations of the best fit" },
+    inertia: { type: "number", description: "Sum of squared distances to the cluster centroid (standardized space)" },
+    silhouette: objectSchema({
+      score: { type: "number", description: "Mean silhouette, -1 (wrong cluster) to 1 (well separated)" },
+      sample_size: { type: "integer", description: "Points scored, taken from the fitted sample" }
+    }),
+    clusters: {
+      type: "array",
+      items: objectSchema({
+        cluster: { type: "integer", description: "Cluster number, 0 = largest" },
+        size: { type: "integer" },
+        silhouette: nullableNumber,
+        centroid: { type: "object", additionalProperties: nullableNumber, description: "Centroid in original units" },
+        centroid_standardized: { type: "object", additionalProperties: { type: "number" } },
+        representative: objectSchema({ id: { type: "string" }, symbol: { type: "string" }, name: { type: "string" } })
+      })
+    },
+    data: {
+      type: "array",
+      items: objectSchema({
+        id: { type: "string" },
+        symbol: { type: "string" },
+        name: { type: "string" },
+        market_cap_rank: nullableNumber,
+        cluster: { type: "integer" },
+        distance: { type: "number", description: "Distance to the cluster centroid (standardized space)" }
+      })
+    }
+  }),
+  Wordmap: objectSchema({
+    success: { type: "boolean" },
+    count: { type: "integer" },
+    limit: { type: "integer" },
+    data: {
+      type: "array",
+      items: objectSchema({
+        id: { type: "string" },
+        text: { type: "string" },
+        value: { type: "number" },
+        size: { type: "number" },
+        rank: { type: "integer" },
+        name: { type: "string" },
+        price: { type: "number" },
+        image: { type: "string" },
+        color: { type: "string" },
+        weight: { type: "number" }
+      })
+    },
+    statistics: objectSchema({
+      total_market_cap: { type: "number" },
+      min_market_cap: { type: "number" },
+      max_market_cap: { type: "number" },
+      avg_market_cap: { type: "number" }
+    })
+  }),
+  Treemap: objectSchema({
+    success: { type: "boolean" },
+    count: { type: "integer" },
+    limit: { type: "integer" },
+    data: {
+      type: "array",
+      items: objectSchema({
+        id: { type: "string" },
+        label: { type: "string" },
+        value: { type: "number" },
+        size: { type: "number" },
+        rank: { type: "integer" },
+        name: { type: "string" },
+        market_cap: { type: "number" },
+        change_24h: { type: "number" },
+        image: { type: "string" },
+        color: { type: "string" },
+        weight: { type: "number" }
+      })
+    },
+    statistics: objectSchema({
+      total_market_cap: { type: "number" },
+      min_market_cap: { type: "number" },
+      max_market_cap: { type: "number" },
+      avg_market_cap: { type: "number" },
+      min_change_24h: { type: "number" },
+      max_change_24h: { type: "number" },
+      avg_change_24h: { type: "number" }
+    })
+  }),
+  TreemapNode: objectSchema({
+    id: { type: "string" },
+    label: { type: "string" },
+    name: { type: "string" },
+    value: { type: "number" },
+    market_cap: { type: "number" },
+    share: { type: "number", description: "Group nodes: % of total market cap" },
+    change_24h: nullableNumber,
+    count: { type: "integer", description: "Group and Others nodes: number of coins" },
+    image: { type: "string" },
+    color: { type: "string" },
+    children: { type: "array", items: ref("TreemapNode") }
+  }, ["id", "label", "value", "market_cap", "change_24h"]),
+  GroupedTreemap: objectSchema({
+    success: { type: "boolean" },
+    group_by: { type: "string", enum: TREEMAP_GROUPINGS },
+    limit: { type: "integer" },
+    count: { type: "integer" },
+    data: ref("TreemapNode"),
+    statistics: objectSchema({
+      total_market_cap: { type: "number" },
+      group_count: { type: "integer" },
+      coin_count: { type: "integer" },
+      leaf_count: { type: "integer" },
+      leaf_market_cap: { type: "number" }
+    })
+  })
+};
 
-  if (validCoins.length === 0) {
-    return res.json({
-      success: false,
-      message: "No valid coins found for treemap"
-    });
+// Các route có trong tài liệu: path -> summary, schema query param, response 200 và các mã lỗi có thể trả về
+const OPENAPI_ROUTES = {
+  "/api/coins": {
+    summary: "List coins with pagination, search, sorting, range filters and field selection",
+    params: { ...PAGINATION_PARAMS, ...COIN_QUERY_PARAMS },
+    extraParameters: [{
+      name: "filters",
+      in: "query",
+      description: "Range filters as <column>_<op>=<number> with op one of gt, gte, lt, lte, eq, ne " +
+        "(e.g. market_cap_gte=1e9), or <column>_null=true|false",
+      style: "form",
+      explode: true,
+      schema: { type: "object", additionalProperties: { type: "string" } }
+    }],
+    response: ref("CoinList"),
+    errors: [400]
+  },
+  "/api/histogram": {
+    summary: "Histogram of a numeric column with summary statistics and an optional KDE curve",
+    params: HISTOGRAM_PARAMS,
+    response: ref("Histogram"),
+    errors: [400]
+  },
+  "/api/scatter": {
+    summary: "Scatter data for two numeric columns (2D histogram or points) with regression and outliers",
+    params: SCATTER_PARAMS,
+    response: ref("Scatter"),
+    errors: [400, 422]
+  },
+  "/api/heatmap": {
+    summary: "Correlation matrix between numeric columns with p-values and sample sizes",
+    params: HEATMAP_PARAMS,
+    response: ref("Heatmap"),
+    errors: [400, 422]
+  },
+  "/api/anomalies": {
+    summary: "Coins with suspicious values: cross-column consistency rules and robust per-metric outliers, with severity",
+    params: ANOMALY_PARAMS,
+    response: ref("Anomalies"),
+    errors: [400]
+  },
+  "/api/clusters": {
+    summary: "k-means clusters of coins on standardized numeric columns with centroids and silhouette score",
+    params: CLUSTER_PARAMS,
+    response: ref("Clusters"),
+    errors: [400, 422]
+  },
+  "/api/wordmap": {
+    summary: "Top coins by market cap sized for a word cloud",
+    params: WORDMAP_PARAMS,
+    response: ref("Wordmap"),
+    errors: [400, 422]
+  },
+  "/api/treemap": {
+    summary: "Top coins by market cap with 24h change for a treemap, optionally grouped into a tree",
+    params: TREEMAP_PARAMS,
+    response: { oneOf: [ref("Treemap"), ref("GroupedTreemap")] },
+    errors: [400, 422]
   }
+};
 
-  // Tính min/max market_cap để normalize size
-  const marketCaps = validCoins.map(c => c.market_cap);
-  const minCap = Math.min(...marketCaps);
-  const maxCap = Math.max(...marketCaps);
-  const capRange = maxCap - minCap || 1;
+const ERROR_DESCRIPTIONS = {
+  400: "Invalid query parameters (error.code = invalid_query, error.details lists each parameter)",
+  401: "Missing or invalid API key (only when API keys are configured)",
+  404: "Not found",
+  422: "Not enough valid data to compute the result (error.code = insufficient_data)",
+  429: "Rate limit exceeded (error.code = rate_limited, see the Retry-After header)"
+};
 
-  // Tính min/max change_24h để color gradient
-  const changes = validCoins.map(c => c.change_24h);
-  const minChange = Math.min(...changes);
-  const maxChange = Math.max(...changes);
-  const changeRange = maxChange - minChange || 1;
+// Helper: Spec validate param (PARAMS) -> schema OpenAPI (bỏ các key nội bộ)
+function toOpenApiSchema(spec) {
+  const { errorCode, description, required, ...schema } = spec;
+  if (schema.items) schema.items = toOpenApiSchema(schema.items);
+  return schema;
+}
 
-  // Tạo treemap data
-  const treemapData = validCoins.map((coin, index) => {
-    // Size dựa trên market_cap
-    const sizeRatio = (coin.market_cap - minCap) / capRange;
-    const size = 10 + sizeRatio * 90; // 10 to 100
+// Helper: Tạo tài liệu OpenAPI 3 từ OPENAPI_ROUTES (param lấy từ chính schema mà route dùng để validate)
+function buildOpenApiSpec() {
+  const paths = {};
+  for (const [route, doc] of Object.entries(OPENAPI_ROUTES)) {
+    const parameters = Object.entries(doc.params).map(([name, spec]) => ({
+      name: name,
+      in: "query",
+      required: Boolean(spec.required),
+      ...(spec.description ? { description: spec.description } : {}),
+      ...(spec.type === "array" ? { style: "form", explode: false } : {}),
+      schema: toOpenApiSchema(spec)
+    }));
 
-    // Color dựa trên 24h change: Red (negative) -> White (zero) -> Green (positive)
-    const changeRatio = (coin.change_24h - minChange) / changeRange;
-    let hue, saturation, lightness;
-
-    if (coin.change_24h < 0) {
-      // Red for negative change
-      hue = 0;
-      saturation = Math.abs(changeRatio) * 100;
-      lightness = 70 - Math.abs(changeRatio) * 40;
-    } else if (coin.change_24h > 0) {
-      // Green for positive change
-      hue = 120;
-      saturation = changeRatio * 100;
-      lightness = 70 - changeRatio * 40;
-    } else {
-      // White for zero change
-      hue = 0;
-      saturation = 0;
-      lightness = 80;
+    const responses = {
+      200: { description: "OK", content: { "application/json": { schema: doc.response } } }
+    };
+    for (const status of [...doc.errors, 401, 429]) {
+      responses[status] = { description: ERROR_DESCRIPTIONS[status], content: { "application/json": { schema: ref("Error") } } };
     }
 
-    return {
-      id: coin.symbol.toLowerCase(),
-      label: `${coin.symbol}`,
-      value: coin.market_cap,
-      size: parseFloat(size.toFixed(2)),
-      rank: index + 1,
-      name: coin.name,
-      market_cap: coin.market_cap,
-      change_24h: parseFloat(coin.change_24h.toFixed(2)),
-      image: coin.image,
-      color: `hsl(${hue}, ${saturation}%, ${lightness}%)`,
-      weight: parseFloat((sizeRatio * 100).toFixed(2))
+    paths[route] = {
+      get: {
+        summary: doc.summary,
+        parameters: [...parameters, ...(doc.extraParameters || [])],
+        responses: responses
+      }
     };
-  });
+  }
 
-  res.json({
-    success: true,
-    count: treemapData.length,
-    limit: limit,
-    data: treemapData,
-    statistics: {
-      total_market_cap: treemapData.reduce((sum, c) => sum + c.market_cap, 0),
-      min_market_cap: parseFloat(minCap.toFixed(2)),
-      max_market_cap: parseFloat(maxCap.toFixed(2)),
-      avg_market_cap: parseFloat((treemapData.reduce((sum, c) => sum + c.market_cap, 0) / treemapData.length).toFixed(2)),
-      min_change_24h: parseFloat(minChange.toFixed(2)),
-      max_change_24h: parseFloat(maxChange.toFixed(2)),
-      avg_change_24h: parseFloat((treemapData.reduce((sum, c) => sum + c.change_24h, 0) / treemapData.length).toFixed(2))
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "server-KHDL API",
+      version: require("./package.json").version,
+      description: "Crypto market data API. Responses are cached per dataset version and carry ETag / Last-Modified headers. " +
+        "Requests are rate limited per API key (or per IP) and carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers."
+    },
+    // Không bắt buộc: server chỉ yêu cầu key khi có cấu hình API_KEYS_FILE
+    security: [{}, { ApiKeyHeader: [] }, { BearerAuth: [] }],
+    paths: paths,
+    components: {
+      schemas: OPENAPI_SCHEMAS,
+      securitySchemes: {
+        ApiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+        BearerAuth: { type: "http", scheme: "bearer" }
+      }
+    }
+  };
+}
+
+let openApiSpec = null;
+
+// Endpoint: /api/openapi.json - Tài liệu OpenAPI 3 của các route chính
+app.get("/api/openapi.json", (req, res) => {
+  if (!openApiSpec) openApiSpec = buildOpenApiSpec();
+  res.json(openApiSpec);
+});
+
+// Endpoint: /api/docs - Trang tài liệu tương tác (đọc /api/openapi.json, không cần CDN)
+app.get("/api/docs", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "api-docs.html"));
+});
+
+// Route không tồn tại -> 404 JSON thay vì trang HTML mặc định của Express
+app.use((req, res, next) => {
+  next(new ApiError(404, "not_found", `Route not found: ${req.method} ${req.path}`));
+});
+
+// Error handler chung: mọi lỗi (ApiError, lỗi parse body, lỗi không lường trước) đều trả về
+// { success: false, error: { code, message, details } }
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  let status = err instanceof ApiError ? err.status : err.status || err.statusCode || 500;
+  if (status < 400 || status > 599) status = 500;
+  if (status >= 500 && !(err instanceof ApiError)) console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+
+  const code = err instanceof ApiError
+    ? err.code
+    : status >= 500 ? "internal_error" : String(err.type || "bad_request").replace(/\./g, "_");
+  const message = err instanceof ApiError || (status < 500 && err.expose)
+    ? err.message
+    : http.STATUS_CODES[status] || "Internal Server Error";
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: code,
+      message: message,
+      details: err instanceof ApiError ? err.details : null
     }
   });
 });
 
-app.listen(PORT, () => {
+// Chạy trực tiếp (node index.js) thì mở server; require từ test thì chỉ export app (không listen, không watch file)
+if (require.main === module) {
+  app.listen(PORT, () => {
     console.log(`✅ Server running on http://localhost:${PORT}`);
     ensureLoaded();
-});
+    ensureHistoryLoaded();
+    startWatchingCsv();
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,191 @@
+// Benchmark độ trễ các route với dataset lớn (mặc định 100k dòng)
+//
+// Cách dùng:
+//   node scripts/benchmark.js                       # đo index.js hiện tại
+//   node scripts/benchmark.js --before HEAD~1       # so sánh với index.js ở một git ref khác
+//   node scripts/benchmark.js --rows 50000 --requests 10
+const { spawn, execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+function parseArgs(argv) {
+  const args = { rows: 100000, requests: 20, before: null, port: 3900 };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (key in args) args[key] = key === "before" ? argv[++i] : parseInt(argv[++i]);
+  }
+  return args;
+}
+
+// Helper: Sinh CSV giả lập theo format CoinGecko (random có seed để các lần chạy giống nhau)
+function generateCsv(filePath, rows) {
+  const columns = [
+    "id", "symbol", "name", "image", "current_price", "market_cap", "market_cap_rank", "fully_diluted_valuation",
+    "total_volume", "high_24h", "low_24h", "price_change_24h", "price_change_percentage_24h", "market_cap_change_24h",
+    "market_cap_change_percentage_24h", "circulating_supply", "total_supply", "max_supply", "ath", "ath_change_percentage",
+    "ath_date", "atl", "atl_change_percentage", "atl_date", "roi", "last_updated"
+  ];
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  const lines = [columns.join(",")];
+  for (let i = 0; i < rows; i++) {
+    const price = Math.exp(random() * 14 - 6);
+    const supply = Math.exp(random() * 10 + 10);
+    const marketCap = price * supply;
+    const change = (random() - 0.5) * 20;
+    const row = {
+      id: `coin-${i}`,
+      symbol: `c${i}`,
+      name: `Coin ${i} ${["Alpha", "Beta", "Gamma", "Delta"][i % 4]}`,
+      image: `https://example.com/${i}.png`,
+      current_price: price,
+      market_cap: marketCap,
+      market_cap_rank: i + 1,
+      fully_diluted_valuation: random() < 0.3 ? "" : marketCap * 1.5,
+      total_volume: marketCap * random() * 0.3,
+      high_24h: price * 1.05,
+      low_24h: price * 0.95,
+      price_change_24h: (price * change) / 100,
+      price_change_percentage_24h: change,
+      market_cap_change_24h: (marketCap * change) / 100,
+      market_cap_change_percentage_24h: change + random(),
+      circulating_supply: supply,
+      total_supply: supply * 1.2,
+      max_supply: random() < 0.5 ? "" : supply * 2,
+      ath: price * 2,
+      ath_change_percentage: -50 * random(),
+      ath_date: "2021-11-10T14:24:11.849Z",
+      atl: price / 10,
+      atl_change_percentage: 900 * random(),
+      atl_date: "2015-10-20T00:00:00.000Z",
+      roi: i % 7 === 0 ? "\"{'times': 1.5, 'currency': 'usd', 'percentage': 150.0}\"" : "",
+      last_updated: "2025-11-01T10:00:00.000Z"
+    };
+    lines.push(columns.map(col => row[col]).join(","));
+  }
+  fs.writeFileSync(filePath, lines.join("\n") + "\n");
+}
+
+const ROUTES = [
+  "/api/coins?page=1&limit=50",
+  "/api/coins?search=coin 4242",
+  "/api/coins?sort=market_cap:desc&limit=50",
+  "/api/coins/coin-4242",
+  "/api/coins/coin-4242/similar",
+  "/api/histogram",
+  "/api/scatter",
+  "/api/heatmap",
+  "/api/clusters",
+  "/api/anomalies",
+  "/api/wordmap",
+  "/api/treemap",
+  "/api/market/overview",
+  "/api/movers"
+];
+
+async function waitForServer(baseUrl, rows, child) {
+  const deadline = Date.now() + 300000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    try {
+      const res = await fetch(`${baseUrl}/api/coins?limit=1`);
+      const body = await res.json();
+      if (body.pagination && body.pagination.total === rows) return;
+    } catch {
+      // server chưa sẵn sàng
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error("Server did not load the dataset in time");
+}
+
+// Helper: Chạy server (entry) với dataset đã sinh và đo độ trễ từng route
+async function measure(entry, csvPath, args) {
+  const baseUrl = `http://localhost:${args.port}`;
+  const child = spawn(process.execPath, [entry], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(args.port),
+      DATA_SOURCES: JSON.stringify({ sources: [{ type: "csv", path: csvPath }] }),
+      // Tắt cache response: nếu không mọi request sau warm-up đều là X-Cache: HIT và không đo được route
+      RESPONSE_CACHE_MAX_ENTRIES: "0",
+      RATE_LIMIT_CAPACITY: "0" // đo độ trễ, không đo rate limit
+    },
+    stdio: "ignore"
+  });
+
+  try {
+    await waitForServer(baseUrl, args.rows, child);
+    const results = {};
+    for (const route of ROUTES) {
+      await fetch(baseUrl + route).then(res => res.arrayBuffer()); // warm-up
+      const timings = [];
+      for (let i = 0; i < args.requests; i++) {
+        const start = process.hrtime.bigint();
+        await fetch(baseUrl + route).then(res => res.arrayBuffer());
+        timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+      }
+      timings.sort((a, b) => a - b);
+      results[route] = {
+        p50: timings[Math.floor(timings.length * 0.5)],
+        p95: timings[Math.min(timings.length - 1, Math.floor(timings.length * 0.95))]
+      };
+    }
+    return results;
+  } finally {
+    child.kill();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "khdl-bench-"));
+  const csvPath = path.join(tmpDir, "coins.csv");
+  let beforeEntry = null;
+
+  try {
+    console.log(`Generating ${args.rows} rows ...`);
+    generateCsv(csvPath, args.rows);
+
+    let before = null;
+    if (args.before) {
+      // Đặt cạnh index.js để require() tìm thấy node_modules
+      beforeEntry = path.join(ROOT, `.benchmark-before-${process.pid}.js`);
+      fs.writeFileSync(beforeEntry, execFileSync("git", ["show", `${args.before}:index.js`], { cwd: ROOT }));
+      console.log(`Measuring ${args.before} ...`);
+      before = await measure(beforeEntry, csvPath, args);
+    }
+    console.log("Measuring working tree ...");
+    const after = await measure(path.join(ROOT, "index.js"), csvPath, args);
+
+    const table = ROUTES.map(route => {
+      const row = { route };
+      if (before) {
+        row["before p50 (ms)"] = before[route].p50.toFixed(1);
+        row["before p95 (ms)"] = before[route].p95.toFixed(1);
+      }
+      row["p50 (ms)"] = after[route].p50.toFixed(1);
+      row["p95 (ms)"] = after[route].p95.toFixed(1);
+      if (before) row.speedup = `${(before[route].p50 / after[route].p50).toFixed(1)}x`;
+      return row;
+    });
+    console.log(`\n${args.rows} rows, ${args.requests} requests per route`);
+    console.table(table);
+  } finally {
+    if (beforeEntry) fs.rmSync(beforeEntry, { force: true });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+// Test cảnh báo giá: tạo rule, đánh giá khi reload dataset, danh sách cảnh báo, webhook (server stub local)
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { startApp, setField, FIXTURES } = require("./helpers");
+
+let app;
+let webhook;
+const received = [];
+const original = fs.readFileSync(path.join(FIXTURES, "coins.csv"), "utf8");
+
+async function createRule(rule) {
+  return app.request("/api/alerts", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(rule)
+  });
+}
+
+// Helper: Chờ webhook stub nhận đủ count request (mỗi lần đánh giá gửi 1 request gộp các cảnh báo)
+async function waitForWebhooks(count) {
+  const deadline = Date.now() + 5000;
+  while (received.length < count) {
+    if (Date.now() > deadline) throw new Error(`Expected ${count} webhook calls, got ${received.length}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+before(async () => {
+  webhook = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.end("ok");
+    });
+  });
+  await new Promise(resolve => webhook.listen(0, resolve));
+
+  app = await startApp("coins.csv", {
+    ALERT_WEBHOOK_URL: `http://localhost:${webhook.address().port}/hook`,
+    ALERT_RULES_MAX: "3",
+    ALERT_MAX_EVENTS_PER_RULE: "2",
+    ALERT_MATCHING_MAX: "5"
+  });
+  await app.reloadWith(original);
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => webhook.close(resolve));
+});
+
+test("rejects invalid rules", async () => {
+  const cases = [
+    [{ condition: "gt", value: 1 }, "metric", "missing_field"],
+    [{ metric: "name", condition: "gt", value: 1 }, "metric", "unknown_column"],
+    [{ metric: "current_price", condition: "above", value: 1 }, "condition", "invalid_value"],
+    [{ metric: "current_price", condition: "gt", value: "1" }, "value", "invalid_value"],
+    [{ coin: "bitcoin", top: 10, metric: "current_price", condition: "gt", value: 1 }, "coin", "invalid_value"],
+    [{ coin: "bitcon", metric: "current_price", condition: "gt", value: 1 }, "coin", "not_found"],
+    // URL webhook chỉ đặt bằng env ALERT_WEBHOOK_URL
+    [{ metric: "current_price", condition: "gt", value: 1, webhook_url: "http://169.254.169.254/" }, "webhook_url", "unknown_field"],
+    [{ metric: "current_price", condition: "gt", value: 1, extra: true }, "extra", "unknown_field"]
+  ];
+  for (const [rule, field, code] of cases) {
+    const { status, body } = await createRule(rule);
+    assert.strictEqual(status, 400, JSON.stringify(rule));
+    assert.strictEqual(body.error.code, "invalid_body");
+    assert.deepStrictEqual(body.error.details.map(error => [error.field, error.code]), [[field, code]], JSON.stringify(rule));
+  }
+
+  const malformed = await app.request("/api/alerts", { method: "POST", headers: { "Content-Type": "application/json" }, body: "{" });
+  assert.strictEqual(malformed.status, 400);
+  assert.strictEqual(malformed.body.success, false);
+});
+
+test("comparison rules trigger once for coins that already match", async () => {
+  const { status, body } = await createRule({ top: 10, metric: "price_change_percentage_24h", condition: "lt", value: -5 });
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.data.name, "any top-10 coin price_change_percentage_24h lt -5");
+  assert.strictEqual(body.data.matching_count, 2);
+  assert.deepStrictEqual(body.triggered.map(event => event.coin.id), ["bitcoin", "ethereum"]);
+
+  // Reload cùng dữ liệu không báo lại
+  await app.reloadWith(original);
+  const events = await app.request(`/api/alerts/events?rule_id=${body.data.id}`);
+  assert.strictEqual(events.body.total, 2);
+
+  await waitForWebhooks(1);
+  assert.deepStrictEqual(received[0].alerts.map(alert => alert.coin.id), ["bitcoin", "ethereum"]);
+  assert.strictEqual(received[0].alerts[0].webhook, undefined);
+});
+
+test("crossing rules trigger when a reload moves the value past the threshold", async () => {
+  const price = await createRule({ coin: "BTC", metric: "current_price", condition: "crosses_above", value: 65000 });
+  assert.strictEqual(price.status, 201);
+  assert.strictEqual(price.body.data.coin, "bitcoin");
+  assert.deepStrictEqual(price.body.triggered, []);
+
+  const rank = await createRule({ metric: "market_cap_rank", condition: "crosses_below", value: 10, name: "enters top 10" });
+  assert.deepStrictEqual(rank.body.triggered, []);
+
+  let updated = setField(original, "bitcoin", "current_price", 66000);
+  updated = setField(updated, "avalanche-2", "market_cap_rank", 10);
+  updated = setField(updated, "tron", "market_cap_rank", 12);
+  await app.reloadWith(updated);
+
+  // avalanche-2 vào top 10 nên cũng kích hoạt rule top-10 ở test trước
+  const { body } = await app.request("/api/alerts/events?limit=3");
+  assert.deepStrictEqual(body.data.map(event => [event.rule_id, event.coin.id]), [
+    [rank.body.data.id, "avalanche-2"],
+    [price.body.data.id, "bitcoin"],
+    [rank.body.data.id - 2, "avalanche-2"]
+  ]);
+  assert.strictEqual(body.data[1].previous_value, 60000);
+  assert.strictEqual(body.data[1].value, 66000);
+
+  await waitForWebhooks(2);
+  assert.deepStrictEqual(received[1].alerts.map(alert => alert.rule_id).sort(), [1, 2, 3]);
+
+  // Kết quả gửi webhook được ghi vào event sau khi stub trả lời
+  const deadline = Date.now() + 5000;
+  let statuses;
+  do {
+    const { body: events } = await app.request("/api/alerts/events");
+    statuses = events.data.map(event => event.webhook.status);
+  } while (statuses.includes("pending") && Date.now() < deadline);
+  assert.deepStrictEqual(statuses, Array(5).fill("delivered"));
+});
+
+test("rules are persisted and can be deleted", async () => {
+  const saved = JSON.parse(fs.readFileSync(path.join(app.stateDir, "alerts.json"), "utf8"));
+  assert.strictEqual(saved.rules.length, 3);
+
+  const { body } = await app.request("/api/alerts");
+  assert.strictEqual(body.count, 3);
+
+  const removed = await app.request(`/api/alerts/${body.data[0].id}`, { method: "DELETE" });
+  assert.strictEqual(removed.status, 200);
+  assert.strictEqual((await app.request("/api/alerts")).body.count, 2);
+  assert.strictEqual((await app.request(`/api/alerts/${body.data[0].id}`, { method: "DELETE" })).status, 404);
+});
+
+test("caps events per rule and the number of rules", async () => {
+  // Còn 2 rule sau test trước; rule mọi coin chỉ tạo ALERT_MAX_EVENTS_PER_RULE cảnh báo
+  const { status, body } = await createRule({ metric: "current_price", condition: "gt", value: 0 });
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.data.matching_count, 12);
+  assert.strictEqual(body.triggered.length, 2);
+  assert.strictEqual(body.triggered_suppressed, 10);
+
+  await waitForWebhooks(3);
+  assert.strictEqual(received[2].alerts.length, 2);
+
+  // File chỉ lưu ALERT_MATCHING_MAX id; reload cùng dữ liệu vẫn không báo lại (tập đầy đủ trong bộ nhớ)
+  const saved = JSON.parse(fs.readFileSync(path.join(app.stateDir, "alerts.json"), "utf8"));
+  const rule = saved.rules.find(entry => entry.id === body.data.id);
+  assert.deepStrictEqual([rule.state.matching.length, rule.state.matching_count, rule.state.matching_truncated], [5, 12, true]);
+  await app.reloadWith(original);
+  assert.strictEqual((await app.request(`/api/alerts/events?rule_id=${body.data.id}`)).body.total, 2);
+
+  const full = await createRule({ metric: "current_price", condition: "gt", value: 1 });
+  assert.strictEqual(full.status, 409);
+  assert.strictEqual(full.body.error.code, "limit_exceeded");
+});
+
+test("a truncated matching list does not trigger again after a restart", async () => {
+  const alertsFile = path.join(app.stateDir, "restarted-alerts.json");
+  fs.copyFileSync(path.join(app.stateDir, "alerts.json"), alertsFile);
+  const saved = JSON.parse(fs.readFileSync(alertsFile, "utf8"));
+
+  const restarted = await startApp("coins.csv", { ALERTS_FILE: alertsFile, ALERT_MATCHING_MAX: "5" });
+  try {
+    assert.strictEqual((await restarted.request("/api/coins?limit=1")).status, 200);
+    const { body } = await restarted.request("/api/alerts/events");
+    assert.strictEqual(body.total, saved.events.length);
+  } finally {
+    await restarted.close();
+  }
+});
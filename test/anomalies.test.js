@@ -0,0 +1,94 @@
+// Test /api/anomalies (luật nhất quán + outlier theo metric) và param exclude_anomalies của /api/coins, các route biểu đồ
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startApp, setField, FIXTURES } = require("./helpers");
+
+let app;
+
+before(async () => {
+  app = await startApp("coins.csv");
+
+  // ripple: volume 500x market cap; solana: giá gấp đôi high_24h; tron: market cap gấp 3 giá x supply;
+  // cardano: biến động 24h lệch xa phần còn lại
+  let content = fs.readFileSync(path.join(FIXTURES, "coins.csv"), "utf8");
+  content = setField(content, "ripple", "total_volume", 390788112715 * 500);
+  content = setField(content, "solana", "current_price", 958);
+  content = setField(content, "tron", "market_cap", 88038993869 * 3);
+  content = setField(content, "cardano", "price_change_percentage_24h", 80);
+  await app.reloadWith(content);
+});
+
+after(() => app.close());
+
+// Helper: { coin id: [rule, ...] } từ response /api/anomalies
+const rulesById = (body) => Object.fromEntries(body.data.map(coin => [coin.id, coin.anomalies.map(anomaly => anomaly.rule)]));
+
+test("flags inconsistent rows with the rule that fired", async () => {
+  const { status, body } = await app.request("/api/anomalies");
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.total_records, 12);
+
+  const rules = rulesById(body);
+  assert.ok(rules.ripple.includes("volume_exceeds_market_cap"));
+  assert.ok(rules.solana.includes("price_outside_24h_range"));
+  assert.ok(rules.tron.includes("market_cap_mismatch"));
+  assert.ok(rules.cardano.includes("outlier"));
+  assert.strictEqual(rules.bitcoin, undefined);
+
+  const ripple = body.data.find(coin => coin.id === "ripple");
+  const volume = ripple.anomalies.find(anomaly => anomaly.rule === "volume_exceeds_market_cap");
+  assert.strictEqual(volume.severity, "high");
+  assert.strictEqual(volume.score, 500);
+  assert.strictEqual(ripple.severity, "high");
+
+  const cardano = body.data.find(coin => coin.id === "cardano").anomalies[0];
+  assert.deepStrictEqual([cardano.metric, cardano.value], ["price_change_percentage_24h", 80]);
+  const bounds = body.metrics.find(metric => metric.metric === "price_change_percentage_24h");
+  assert.ok(bounds.upper < 80);
+});
+
+test("filters by rule, severity and limit", async () => {
+  const { body } = await app.request("/api/anomalies?rules=market_cap_mismatch");
+  assert.ok(body.data.every(coin => coin.anomalies.every(anomaly => anomaly.rule === "market_cap_mismatch")));
+  assert.ok(body.data.some(coin => coin.id === "tron"));
+  assert.strictEqual(body.counts.by_rule.outlier, 0);
+
+  const limited = await app.request("/api/anomalies?limit=1");
+  assert.strictEqual(limited.body.count, 1);
+  assert.ok(limited.body.flagged_count > 1);
+  assert.strictEqual(limited.body.data[0].severity, "high");
+});
+
+test("supports the iqr method and validates params", async () => {
+  const { status, body } = await app.request("/api/anomalies?method=iqr&rules=outlier");
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.threshold, 3);
+  assert.ok(rulesById(body).cardano.includes("outlier"));
+
+  for (const query of ["method=zscore", "metrics=name", "threshold=0", "severity=critical"]) {
+    const invalid = await app.request(`/api/anomalies?${query}`);
+    assert.strictEqual(invalid.status, 400, query);
+  }
+});
+
+test("exclude_anomalies drops flagged rows from coins and charts", async () => {
+  const { body: anomalies } = await app.request("/api/anomalies?severity=high");
+  const flagged = anomalies.data.map(coin => coin.id);
+
+  const all = await app.request("/api/coins?limit=50");
+  assert.strictEqual(all.body.pagination.total, 12);
+  const clean = await app.request("/api/coins?limit=50&exclude_anomalies=high");
+  assert.strictEqual(clean.body.pagination.total, 12 - flagged.length);
+  assert.ok(!clean.body.data.some(coin => flagged.includes(coin.id)));
+
+  const histogram = await app.request("/api/histogram?column=total_volume&exclude_anomalies=high");
+  assert.strictEqual(histogram.body.statistics.count, 12 - flagged.length);
+
+  const wordmap = await app.request("/api/wordmap?limit=50&exclude_anomalies=high");
+  assert.ok(!wordmap.body.data.some(word => word.text === "XRP"));
+
+  const invalid = await app.request("/api/coins?exclude_anomalies=yes");
+  assert.strictEqual(invalid.status, 400);
+});
@@ -0,0 +1,154 @@
+// Test API key (scope read / write / admin), rate limit token bucket theo key và theo IP, CORS allowlist
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { startApp } = require("./helpers");
+
+const READ_KEY = "reader-secret";
+const ADMIN_KEY = "admin-secret";
+const LIMITED_KEY = "limited-secret";
+
+describe("with API keys configured", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp("coins.csv");
+    fs.writeFileSync(path.join(app.stateDir, "api-keys.json"), JSON.stringify({
+      keys: [
+        { name: "reader", key: READ_KEY, scopes: ["read"] },
+        { name: "ops", key_sha256: crypto.createHash("sha256").update(ADMIN_KEY).digest("hex"), scopes: ["admin"] },
+        // refill rất chậm để số token còn lại không đổi trong lúc test
+        { name: "limited", key: LIMITED_KEY, scopes: ["read"], rate_limit: { capacity: 10, refill_per_second: 0.001 } }
+      ]
+    }));
+  });
+
+  after(() => app.close());
+
+  test("requests without a valid key are rejected", async () => {
+    const missing = await app.request("/api/coins");
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.body.error.code, "unauthorized");
+    assert.strictEqual(missing.headers.get("www-authenticate"), 'Bearer realm="api"');
+
+    const invalid = await app.request("/api/coins", { headers: { "X-API-Key": "nope" } });
+    assert.strictEqual(invalid.status, 401);
+    assert.strictEqual(invalid.body.error.message, "Invalid API key");
+
+    // Tài liệu API không cần key
+    assert.strictEqual((await app.request("/api/openapi.json")).status, 200);
+  });
+
+  test("keys are accepted from headers and the api_key query param", async () => {
+    const header = await app.request("/api/coins?limit=1", { headers: { "X-API-Key": READ_KEY } });
+    assert.strictEqual(header.status, 200);
+    // Key không có rate_limit và không đặt RATE_LIMIT_CAPACITY: không bị giới hạn
+    assert.strictEqual(header.headers.get("ratelimit-limit"), null);
+    const bearer = await app.request("/api/coins?limit=1", { headers: { Authorization: `Bearer ${READ_KEY}` } });
+    assert.strictEqual(bearer.status, 200);
+    const query = await app.request(`/api/coins?limit=1&api_key=${READ_KEY}`);
+    assert.strictEqual(query.status, 200);
+    assert.strictEqual(query.body.count, 1);
+  });
+
+  test("scopes gate write and admin routes", async () => {
+    const write = await app.request("/api/watchlists", {
+      method: "POST",
+      headers: { "X-API-Key": READ_KEY, "Content-Type": "application/json" },
+      body: JSON.stringify({ name: "Main" })
+    });
+    assert.strictEqual(write.status, 403);
+    assert.strictEqual(write.body.error.code, "forbidden");
+    assert.deepStrictEqual(write.body.error.details, { required_scope: "write" });
+
+    const reload = await app.request("/api/admin/reload", { method: "POST", headers: { "X-API-Key": READ_KEY } });
+    assert.strictEqual(reload.status, 403);
+
+    // admin bao gồm cả write
+    const adminReload = await app.request("/api/admin/reload", { method: "POST", headers: { "X-API-Key": ADMIN_KEY } });
+    assert.strictEqual(adminReload.status, 200);
+    const adminWrite = await app.request("/api/watchlists", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${ADMIN_KEY}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ name: "Main" })
+    });
+    assert.strictEqual(adminWrite.status, 201);
+  });
+
+  test("aggregation routes consume more of the key's bucket", async () => {
+    const headers = { "X-API-Key": LIMITED_KEY };
+    const first = await app.request("/api/heatmap", { headers });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get("ratelimit-limit"), "10");
+    assert.strictEqual(first.headers.get("ratelimit-remaining"), "5");
+
+    const second = await app.request("/api/coins?limit=1", { headers });
+    assert.strictEqual(second.headers.get("ratelimit-remaining"), "4");
+
+    const limited = await app.request("/api/heatmap", { headers });
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.error.code, "rate_limited");
+    assert.strictEqual(limited.body.error.details.cost, 5);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+
+    // Route rẻ vẫn dùng được phần token còn lại; bucket của key khác không bị ảnh hưởng
+    assert.strictEqual((await app.request("/api/coins?limit=1", { headers })).status, 200);
+    const other = await app.request("/api/heatmap", { headers: { "X-API-Key": READ_KEY } });
+    assert.strictEqual(other.status, 200);
+  });
+});
+
+describe("with API keys and a default rate limit", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp("coins.csv");
+    fs.writeFileSync(path.join(app.stateDir, "api-keys.json"), JSON.stringify({
+      rate_limit: { capacity: 3, refill_per_second: 0.001 },
+      keys: [{ name: "reader", key: READ_KEY, scopes: ["read"] }]
+    }));
+  });
+
+  after(() => app.close());
+
+  test("rejected requests still use up the IP bucket", async () => {
+    const statuses = [];
+    for (let i = 0; i < 2; i++) statuses.push((await app.request("/api/coins?limit=1")).status);
+    for (let i = 0; i < 2; i++) statuses.push((await app.request("/api/coins?limit=1", { headers: { "X-API-Key": `guess-${i}` } })).status);
+    assert.deepStrictEqual(statuses, [401, 401, 401, 429]);
+
+    // Key hợp lệ có bucket riêng
+    assert.strictEqual((await app.request("/api/coins?limit=1", { headers: { "X-API-Key": READ_KEY } })).status, 200);
+  });
+});
+
+describe("without API keys", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp("coins.csv", {
+      RATE_LIMIT_CAPACITY: "3",
+      RATE_LIMIT_REFILL_PER_SEC: "0.001",
+      CORS_ORIGINS: "https://dashboard.example, https://admin.example"
+    });
+  });
+
+  after(() => app.close());
+
+  test("all routes stay open and are limited per IP", async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) statuses.push((await app.request("/api/status")).status);
+    assert.deepStrictEqual(statuses, [200, 200, 200, 429]);
+  });
+
+  test("only allowlisted origins get CORS headers", async () => {
+    const allowed = await app.request("/api/coins", { method: "OPTIONS", headers: { Origin: "https://admin.example" } });
+    assert.strictEqual(allowed.status, 204);
+    assert.strictEqual(allowed.headers.get("access-control-allow-origin"), "https://admin.example");
+
+    const blocked = await app.request("/api/coins", { method: "OPTIONS", headers: { Origin: "https://evil.example" } });
+    assert.strictEqual(blocked.headers.get("access-control-allow-origin"), null);
+  });
+});
@@ -0,0 +1,244 @@
+// Test các trường hợp biên của dataset: file rỗng, thiếu cột, dữ liệu rác, 1 dòng, market cap bằng 0, market cap giống hệt nhau,
+// file đổi trong lúc đang reload
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startApp, setField, FIXTURES } = require("./helpers");
+
+// Helper: Mỗi describe boot app riêng với một fixture
+function withFixture(fixture) {
+  const context = {};
+  before(async () => {
+    context.app = await startApp(fixture);
+  });
+  after(() => context.app.close());
+  return context;
+}
+
+describe("empty.csv", () => {
+  const context = withFixture("empty.csv");
+
+  test("list and export routes return no rows", async () => {
+    const { status, body } = await context.app.request("/api/coins");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.pagination.total, 0);
+    assert.deepStrictEqual(body.data, []);
+
+    const exported = await context.app.request("/api/coins/export?format=csv&fields=id,symbol");
+    assert.strictEqual(exported.body.trim(), "id,symbol");
+  });
+
+  test("chart routes report insufficient data instead of crashing", async () => {
+    for (const route of ["/api/scatter", "/api/heatmap", "/api/wordmap", "/api/treemap", "/api/market/overview"]) {
+      const { status, body } = await context.app.request(route);
+      assert.strictEqual(status, 422, route);
+      assert.strictEqual(body.error.code, "insufficient_data", route);
+    }
+  });
+
+  test("status records why the dataset is empty", async () => {
+    const { body } = await context.app.request("/api/status");
+    assert.strictEqual(body.dataset.row_count, 0);
+    assert.strictEqual(body.dataset.last_error.message, "Dataset has no rows");
+  });
+
+  test("coin lookup returns 404", async () => {
+    const { status } = await context.app.request("/api/coins/bitcoin");
+    assert.strictEqual(status, 404);
+  });
+});
+
+describe("missing-columns.csv", () => {
+  const context = withFixture("missing-columns.csv");
+
+  test("routes that only need market_cap still work", async () => {
+    const wordmap = await context.app.request("/api/wordmap");
+    assert.strictEqual(wordmap.status, 200);
+    assert.strictEqual(wordmap.body.count, 3);
+    assert.ok(wordmap.body.data.every(word => word.price === 0));
+
+    const overview = await context.app.request("/api/market/overview");
+    assert.strictEqual(overview.status, 200);
+  });
+
+  test("routes that need absent columns return 422", async () => {
+    const scatter = await context.app.request("/api/scatter");
+    assert.strictEqual(scatter.status, 422);
+
+    const heatmap = await context.app.request("/api/heatmap");
+    assert.strictEqual(heatmap.status, 422);
+    assert.strictEqual(heatmap.body.error.details.found_columns, 1);
+  });
+
+  test("grouped treemap puts every coin under its category", async () => {
+    const { status, body } = await context.app.request("/api/treemap?group_by=category");
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.data.children.map(group => group.id), ["Layer 1"]);
+  });
+});
+
+describe("junk.csv", () => {
+  const context = withFixture("junk.csv");
+
+  test("non-numeric values become null", async () => {
+    const { status, body } = await context.app.request("/api/coins/junkcoin");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.current_price, null);
+    assert.strictEqual(body.data.market_cap_rank, null);
+    assert.strictEqual(body.data.total_volume, null);
+  });
+
+  test("Python-style roi dict is parsed", async () => {
+    const { body } = await context.app.request("/api/coins/ethereum");
+    assert.deepStrictEqual(body.data.roi, { times: 42.1, currency: "btc", percentage: 4210 });
+  });
+
+  test("quality report flags the junk", async () => {
+    const { body } = await context.app.request("/api/quality");
+    assert.strictEqual(body.checks.unparsable_dates.count, 3);
+    assert.strictEqual(body.checks.malformed_roi.count, 1);
+    assert.strictEqual(body.checks.negative_supply.count, 1);
+  });
+
+  test("chart routes ignore unparsable values", async () => {
+    const { status, body } = await context.app.request("/api/histogram");
+    assert.strictEqual(status, 200);
+    assert.ok(body.histogram.every(bin => Number.isFinite(bin.start) && Number.isFinite(bin.end)));
+  });
+});
+
+describe("single-row.csv", () => {
+  const context = withFixture("single-row.csv");
+
+  test("histogram has one bin with zero spread", async () => {
+    const { status, body } = await context.app.request("/api/histogram?kde=true");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.bins_count, 1);
+    assert.strictEqual(body.statistics.std_dev, 0);
+  });
+
+  test("scatter points have no correlation", async () => {
+    const { status, body } = await context.app.request("/api/scatter?mode=points");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.count, 1);
+    assert.strictEqual(body.stats.correlation, null);
+  });
+
+  test("heatmap needs more than one row", async () => {
+    const { status, body } = await context.app.request("/api/heatmap");
+    assert.strictEqual(status, 422);
+    assert.strictEqual(body.error.code, "insufficient_data");
+  });
+
+  test("a single coin holds the whole market", async () => {
+    const { body } = await context.app.request("/api/market/overview");
+    assert.strictEqual(body.data.concentration.hhi, 10000);
+  });
+});
+
+describe("zero-market-cap.csv", () => {
+  const context = withFixture("zero-market-cap.csv");
+
+  test("log histogram drops non-positive values of a positive-only column", async () => {
+    const { status, body } = await context.app.request("/api/histogram");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.scale, "logarithmic");
+    assert.strictEqual(body.excluded_non_positive, 1);
+    assert.strictEqual(body.statistics.count, 11);
+    assert.ok(body.statistics.min > 0);
+
+    // Trục linear vẫn giữ giá trị 0
+    const linear = await context.app.request("/api/histogram?scale=linear");
+    assert.strictEqual(linear.body.excluded_non_positive, 0);
+    assert.strictEqual(linear.body.statistics.count, 12);
+  });
+
+  test("signed columns keep negative values on a symlog axis", async () => {
+    const { body } = await context.app.request("/api/histogram?column=price_change_percentage_24h");
+    assert.strictEqual(body.scale, "symlog");
+    assert.strictEqual(body.excluded_non_positive, 0);
+    assert.strictEqual(body.statistics.count, 12);
+  });
+
+  test("log scatter reports the rows it drops", async () => {
+    const { status, body } = await context.app.request("/api/scatter?x=price_change_percentage_24h&y=market_cap&yscale=log");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.excluded_non_positive, 1);
+    assert.strictEqual(body.total, 11);
+  });
+});
+
+describe("identical-market-caps.csv", () => {
+  const context = withFixture("identical-market-caps.csv");
+
+  test("histogram handles a zero log range", async () => {
+    const { status, body } = await context.app.request("/api/histogram");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.bins_count, 1);
+    assert.strictEqual(body.statistics.range, 0);
+    assert.strictEqual(body.histogram[0].count, 8);
+  });
+
+  test("heatmap returns null correlation for a zero std dev column", async () => {
+    const { status, body } = await context.app.request("/api/heatmap?columns=total_supply,ath,total_volume");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.correlation_matrix[0][1], null);
+    assert.strictEqual(body.p_value_matrix[0][1], null);
+  });
+
+  test("heatmap diagonal is null for a column that is constant over the kept rows", async () => {
+    const { status, body } = await context.app.request("/api/heatmap?columns=total_supply,ath&missing=listwise");
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.correlation_matrix, [[null, null], [null, 1]]);
+    assert.deepStrictEqual(body.p_value_matrix, [[null, null], [null, 0]]);
+  });
+
+  test("constant columns are not chartable", async () => {
+    const { body } = await context.app.request("/api/schema");
+    assert.ok(!body.chartable_columns.includes("market_cap"));
+    assert.ok(!body.chartable_columns.includes("current_price"));
+  });
+
+  test("scatter against a constant axis has no fit", async () => {
+    const { status, body } = await context.app.request("/api/scatter?x=market_cap&y=total_volume");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.stats.correlation, null);
+    assert.strictEqual(body.regression, null);
+  });
+});
+
+describe("file changed during a reload", () => {
+  const context = withFixture("coins.csv");
+
+  test("the change is loaded by a follow-up reload", async () => {
+    // Thêm nhiều dòng để lần reload đầu đủ lâu cho request kế tiếp tới trong lúc nó đang chạy
+    const original = fs.readFileSync(path.join(FIXTURES, "coins.csv"), "utf8").trimEnd();
+    const bitcoin = original.split("\n").find(line => line.startsWith("bitcoin,"));
+    const filler = Array.from({ length: 20000 }, (_, i) => bitcoin.replace(/^bitcoin,btc,Bitcoin,/, `filler-${i},f${i},Filler ${i},`));
+    const content = [original, ...filler].join("\n");
+    await context.app.reloadWith(content);
+
+    // Thay file bằng rename để lần reload đang đọc vẫn thấy bản cũ
+    const csvPath = path.join(context.app.stateDir, "coins.csv");
+    const replaceFile = (price) => {
+      fs.writeFileSync(`${csvPath}.tmp`, setField(content, "bitcoin", "current_price", price));
+      fs.renameSync(`${csvPath}.tmp`, csvPath);
+    };
+
+    replaceFile(61000);
+    let settled = false;
+    const first = context.app.request("/api/admin/reload", { method: "POST" }).finally(() => {
+      settled = true;
+    });
+    while (!settled && !(await context.app.request("/api/status")).body.dataset.reloading) {
+      // chờ tới khi server bắt đầu reload
+    }
+    replaceFile(62000);
+    const second = context.app.request("/api/admin/reload", { method: "POST" });
+
+    assert.deepStrictEqual((await Promise.all([first, second])).map(res => res.status), [200, 200]);
+    const { body } = await context.app.request("/api/coins/bitcoin");
+    assert.strictEqual(body.data.current_price, 62000);
+  });
+});
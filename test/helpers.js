@@ -0,0 +1,128 @@
+// Helper cho test: boot app (không qua app.listen của index.js) với dataset fixture riêng
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// Đổi giá trị một cột của một coin trong CSV (chỉ dùng cho dòng không có dấu ngoặc kép)
+function setField(content, id, column, value) {
+  const lines = content.split("\n");
+  const columns = lines[0].split(",");
+  return lines.map(line => {
+    if (!line.startsWith(`${id},`)) return line;
+    const cells = line.split(",");
+    cells[columns.indexOf(column)] = String(value);
+    return cells.join(",");
+  }).join("\n");
+}
+
+// Boot một instance app mới trên port ngẫu nhiên.
+// State của index.js là module-level nên mỗi lần phải require lại; env được giữ tới khi close()
+// vì dataset chỉ được load ở request đầu tiên.
+//   - fixture: tên file CSV trong test/fixtures
+//   - env: ghi đè thêm biến môi trường
+// File state ghi ra (alerts, watchlist, portfolio) nằm trong thư mục tạm riêng của instance (stateDir), xóa khi close()
+// Mặc định không có API key và tắt rate limit (file api-keys.json chỉ được đọc ở request đầu tiên nên test có thể ghi vào stateDir sau khi boot)
+async function startApp(fixture = "coins.csv", env = {}) {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "khdl-test-"));
+  const overrides = {
+    DATA_SOURCES: JSON.stringify({ sources: [{ type: "csv", path: path.join(FIXTURES, fixture) }] }),
+    CATEGORIES_FILE: path.join(FIXTURES, "categories.json"),
+    SNAPSHOTS_DIR: path.join(FIXTURES, "snapshots"),
+    ALERTS_FILE: path.join(stateDir, "alerts.json"),
+    WATCHLISTS_FILE: path.join(stateDir, "watchlists.json"),
+    PORTFOLIOS_FILE: path.join(stateDir, "portfolios.json"),
+    API_KEYS_FILE: path.join(stateDir, "api-keys.json"),
+    ...env
+  };
+  const previousEnv = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    previousEnv[key] = process.env[key];
+    process.env[key] = value;
+  }
+
+  // Tắt log load dataset cho output test gọn; console.error / console.warn giữ nguyên để thấy lỗi thật của server
+  const previousLog = console.log;
+  console.log = () => {};
+
+  const entry = require.resolve(path.join(ROOT, "index.js"));
+  delete require.cache[entry];
+  const app = require(entry);
+  const server = await new Promise(resolve => {
+    const instance = app.listen(0, () => resolve(instance));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  return {
+    baseUrl,
+    stateDir,
+    // Gọi route, trả về { status, headers, body } (body parse JSON nếu được, còn lại là text)
+    async request(route, options = {}) {
+      const res = await fetch(baseUrl + route, options);
+      const text = await res.text();
+      let body = text;
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // csv, tsv, html
+      }
+      return { status: res.status, headers: res.headers, body };
+    },
+    // Ghi content ra stateDir/coins.csv, chuyển DATA_SOURCES sang file đó rồi reload dataset
+    async reloadWith(content) {
+      const csvPath = path.join(stateDir, "coins.csv");
+      fs.writeFileSync(csvPath, content);
+      process.env.DATA_SOURCES = JSON.stringify({ sources: [{ type: "csv", path: csvPath }] });
+      const { status } = await this.request("/api/admin/reload", { method: "POST" });
+      assert.strictEqual(status, 200);
+    },
+    // Mở kết nối SSE; next() chờ event kế tiếp ({ id, event, data } với data đã parse JSON)
+    async stream(route, options = {}) {
+      const controller = new AbortController();
+      const res = await fetch(baseUrl + route, { ...options, signal: controller.signal });
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      return {
+        status: res.status,
+        headers: res.headers,
+        async next() {
+          while (!buffer.includes("\n\n")) {
+            const { value, done } = await reader.read();
+            if (done) throw new Error("Stream closed");
+            buffer += decoder.decode(value, { stream: true });
+          }
+          const end = buffer.indexOf("\n\n");
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+
+          const message = {};
+          for (const line of block.split("\n")) {
+            const separator = line.indexOf(": ");
+            if (separator === -1) continue;
+            message[line.slice(0, separator)] = line.slice(separator + 2);
+          }
+          return { id: message.id, event: message.event, data: message.data && JSON.parse(message.data) };
+        },
+        close() {
+          controller.abort();
+        }
+      };
+    },
+    close() {
+      console.log = previousLog;
+      for (const [key, value] of Object.entries(previousEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      return new Promise(resolve => server.close(resolve))
+        .then(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+    }
+  };
+}
+
+module.exports = { startApp, setField, FIXTURES };
@@ -0,0 +1,134 @@
+// Kiểm tra response thực tế của các route khớp với tài liệu ở /api/openapi.json
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startApp } = require("./helpers");
+
+let app;
+let spec;
+
+before(async () => {
+  app = await startApp("coins.csv");
+  spec = (await app.request("/api/openapi.json")).body;
+});
+
+after(() => app.close());
+
+// Helper: Validate giá trị theo schema OpenAPI (tập con dùng trong spec), trả về danh sách lỗi
+function validate(schema, value, at = "$") {
+  if (schema.$ref) {
+    return validate(spec.components.schemas[schema.$ref.split("/").pop()], value, at);
+  }
+  if (value === null) {
+    return schema.nullable ? [] : [`${at}: null is not allowed`];
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validate(option, value, at).length === 0).length;
+    return matches === 1 ? [] : [`${at}: matches ${matches} of oneOf schemas`];
+  }
+
+  const errors = [];
+  const type = Array.isArray(value) ? "array" : Number.isInteger(value) ? "integer" : typeof value;
+  if (schema.type && schema.type !== type && !(schema.type === "number" && type === "integer")) {
+    return [`${at}: expected ${schema.type}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}`);
+  }
+
+  if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+  }
+
+  if (type === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property ${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], item, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: property ${key} is not in the spec`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validate(schema.additionalProperties, item, `${at}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+// Helper: Gọi route và kiểm tra status + body khớp response được khai báo trong spec
+async function checkAgainstSpec(route, query = "") {
+  const { status, body } = await app.request(`${route}${query ? `?${query}` : ""}`);
+  const operation = spec.paths[route].get;
+  const response = operation.responses[status];
+  assert.ok(response, `${route}?${query}: status ${status} is not documented (${JSON.stringify(body).slice(0, 200)})`);
+
+  const errors = validate(response.content["application/json"].schema, body);
+  assert.deepStrictEqual(errors, [], `${route}?${query} (${status}) drifted from the spec`);
+  return { status, body };
+}
+
+test("spec documents the chart and list routes", () => {
+  assert.strictEqual(spec.openapi, "3.0.3");
+  for (const route of ["/api/coins", "/api/histogram", "/api/scatter", "/api/heatmap", "/api/wordmap", "/api/treemap"]) {
+    assert.ok(spec.paths[route], `missing ${route}`);
+    assert.ok(spec.paths[route].get.responses[200], `missing 200 response for ${route}`);
+  }
+});
+
+test("responses with default params match the spec", async () => {
+  for (const route of Object.keys(spec.paths)) {
+    const { status } = await checkAgainstSpec(route);
+    assert.strictEqual(status, 200, `${route} with default params`);
+  }
+});
+
+test("every documented enum value is accepted and matches the spec", async () => {
+  for (const [route, item] of Object.entries(spec.paths)) {
+    for (const param of item.get.parameters) {
+      const values = param.schema.enum || (param.schema.type === "boolean" ? [true, false] : []);
+      for (const value of values) {
+        const { status } = await checkAgainstSpec(route, `${param.name}=${encodeURIComponent(value)}`);
+        assert.notStrictEqual(status, 400, `${route}: documented value ${param.name}=${value} was rejected`);
+      }
+    }
+  }
+});
+
+test("parameter combinations match the spec", async () => {
+  const cases = [
+    ["/api/coins", "page=2&limit=5&sort=market_cap:desc&nulls=exclude"],
+    ["/api/coins", "fields=id,symbol,roi&market_cap_gte=1e6&max_supply_null=false"],
+    ["/api/histogram", "column=current_price&kde=true&kde_points=20&scale=linear"],
+    ["/api/scatter", "mode=points&max_points=10&fit=false"],
+    ["/api/scatter", "x=total_volume&y=market_cap&xscale=log&yscale=log&outlier_threshold=1"],
+    ["/api/heatmap", "columns=market_cap,total_volume,current_price&order=cluster&log=all&missing=listwise"],
+    ["/api/wordmap", "limit=5&min_market_cap=1000"],
+    ["/api/treemap", "limit=5&group_by=tier"],
+    ["/api/treemap", "limit=5&group_by=category"]
+  ];
+  for (const [route, query] of cases) {
+    const { status } = await checkAgainstSpec(route, query);
+    assert.strictEqual(status, 200, `${route}?${query}`);
+  }
+});
+
+test("error responses match the documented error schema", async () => {
+  const cases = [
+    ["/api/coins", "limit=abc"],
+    ["/api/coins", "unknown=1"],
+    ["/api/histogram", "column=name"],
+    ["/api/scatter", "x=bogus&bins=100"],
+    ["/api/heatmap", "columns=market_cap"],
+    ["/api/wordmap", "min_market_cap=1e30"],
+    ["/api/treemap", "group_by=sector"]
+  ];
+  for (const [route, query] of cases) {
+    const { status, body } = await checkAgainstSpec(route, query);
+    assert.ok(status >= 400, `${route}?${query} should fail`);
+    assert.strictEqual(body.success, false);
+  }
+});
@@ -0,0 +1,360 @@
+// Test tích hợp cho từng route, chạy với dataset fixture test/fixtures/coins.csv (12 coin)
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startApp } = require("./helpers");
+
+let app;
+
+before(async () => {
+  app = await startApp("coins.csv");
+});
+
+after(() => app.close());
+
+describe("/api/coins", () => {
+  test("paginates with defaults", async () => {
+    const { status, body } = await app.request("/api/coins?limit=5&page=2");
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.pagination, { page: 2, limit: 5, total: 12, total_pages: 3, has_next: true, has_prev: true });
+    assert.strictEqual(body.count, 5);
+  });
+
+  test("searches id, symbol and name", async () => {
+    const { body } = await app.request("/api/coins?search=coin&fields=id");
+    assert.deepStrictEqual(body.data.map(coin => coin.id), ["bitcoin", "binancecoin", "usd-coin", "dogecoin"]);
+  });
+
+  test("sorts and filters by column", async () => {
+    const { body } = await app.request("/api/coins?sort=market_cap:desc&fields=id,market_cap&market_cap_gte=5e12");
+    assert.deepStrictEqual(body.data.map(coin => coin.id), ["bitcoin", "ethereum", "tether", "solana"]);
+    assert.deepStrictEqual(Object.keys(body.data[0]), ["id", "market_cap"]);
+  });
+
+  test("rejects invalid and unknown params", async () => {
+    for (const query of ["limit=abc", "page=0", "sort=bogus:desc", "unknown=1", "bogus_gte=1"]) {
+      const { status, body } = await app.request(`/api/coins?${query}`);
+      assert.strictEqual(status, 400, query);
+      assert.strictEqual(body.success, false);
+      assert.strictEqual(body.error.code, "invalid_query");
+    }
+  });
+});
+
+describe("/api/coins/export", () => {
+  test("exports JSON Lines with the same filters as /api/coins", async () => {
+    const { status, headers, body } = await app.request("/api/coins/export?format=jsonl&fields=id,market_cap&sort=market_cap:desc&market_cap_gte=1e13");
+    assert.strictEqual(status, 200);
+    assert.match(headers.get("content-type"), /application\/x-ndjson/);
+    const lines = body.trim().split("\n").map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(line => line.id), ["bitcoin", "ethereum", "tether"]);
+  });
+
+  test("exports CSV and TSV with a header row", async () => {
+    const csv = await app.request("/api/coins/export?format=csv&fields=id,symbol&market_cap_gte=1e13");
+    assert.strictEqual(csv.status, 200);
+    assert.deepStrictEqual(csv.body.trim().split(/\r?\n/), ["id,symbol", "bitcoin,btc", "ethereum,eth", "tether,usdt"]);
+
+    const tsv = await app.request("/api/coins/export?format=tsv&fields=id,symbol");
+    assert.strictEqual(tsv.body.trim().split(/\r?\n/)[0], "id\tsymbol");
+    assert.strictEqual(tsv.body.trim().split(/\r?\n/).length, 13);
+  });
+
+  test("rejects an unknown format", async () => {
+    const { status } = await app.request("/api/coins/export?format=xml");
+    assert.strictEqual(status, 400);
+  });
+});
+
+describe("/api/coins/:idOrSymbol", () => {
+  test("finds a coin by id or symbol", async () => {
+    const byId = await app.request("/api/coins/ethereum");
+    const bySymbol = await app.request("/api/coins/ETH");
+    assert.strictEqual(byId.status, 200);
+    assert.strictEqual(byId.body.data.id, "ethereum");
+    assert.deepStrictEqual(bySymbol.body.data, byId.body.data);
+  });
+
+  test("parses the Python-style roi dict", async () => {
+    const { body } = await app.request("/api/coins/ethereum");
+    assert.strictEqual(typeof body.data.roi, "object");
+    assert.strictEqual(typeof body.data.roi.times, "number");
+  });
+
+  test("returns 404 with suggestions for an unknown coin", async () => {
+    const { status, body } = await app.request("/api/coins/bitcon");
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.error.code, "not_found");
+    assert.ok(body.error.details.suggestions.some(coin => coin.id === "bitcoin"));
+  });
+});
+
+describe("/api/coins/:id/history", () => {
+  test("aggregates snapshots into daily OHLC", async () => {
+    const { status, body } = await app.request("/api/coins/bitcoin/history");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.interval, "1d");
+    assert.strictEqual(body.total_points, 3);
+    assert.deepStrictEqual(body.data.map(point => point.samples), [2, 1]);
+    assert.deepStrictEqual(body.data[0].price, { open: 100, high: 120, low: 100, close: 120 });
+    assert.deepStrictEqual(body.data[1].price, { open: 90, high: 90, low: 90, close: 90 });
+  });
+
+  test("returns raw points inside the time range", async () => {
+    const { body } = await app.request("/api/coins/bitcoin/history?interval=raw&from=2025-11-01T06:00:00Z");
+    assert.deepStrictEqual(body.data.map(point => point.price.close), [120, 90]);
+  });
+
+  test("returns 404 for a coin without history and 400 for a bad interval", async () => {
+    assert.strictEqual((await app.request("/api/coins/tron/history")).status, 404);
+    assert.strictEqual((await app.request("/api/coins/bitcoin/history?interval=3x")).status, 400);
+  });
+});
+
+describe("chart routes", () => {
+  test("/api/histogram bins market_cap on a log scale", async () => {
+    const { status, body } = await app.request("/api/histogram");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.scale, "logarithmic");
+    assert.strictEqual(body.statistics.count, 12);
+    assert.strictEqual(body.histogram.reduce((sum, bin) => sum + bin.count, 0), 12);
+  });
+
+  test("/api/histogram rejects a non-numeric column", async () => {
+    const { status, body } = await app.request("/api/histogram?column=name");
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error.code, "invalid_query");
+  });
+
+  test("/api/scatter returns points with a regression fit", async () => {
+    const { status, body } = await app.request("/api/scatter?mode=points");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.count, 12);
+    assert.ok(body.data.every(point => Number.isFinite(point.x) && Number.isFinite(point.y)));
+    assert.strictEqual(body.regression.type, "log-log");
+  });
+
+  test("/api/scatter keeps negative values of signed columns", async () => {
+    const { status, body } = await app.request("/api/scatter?x=price_change_percentage_24h&mode=points");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.count, 12);
+    assert.strictEqual(body.excluded_non_positive, 0);
+    assert.ok(body.data.some(point => point.x < 0));
+
+    // Trục log của cột có dấu là symlog
+    const log = await app.request("/api/scatter?x=price_change_percentage_24h&xscale=log&mode=points");
+    assert.strictEqual(log.body.count, 12);
+    assert.deepStrictEqual(log.body.scale, { x: "symlog", y: "logarithmic" });
+    assert.ok(log.body.regression.equation.startsWith("log10(y) = ") && log.body.regression.equation.includes("symlog(x)"));
+  });
+
+  test("/api/heatmap returns a symmetric correlation matrix", async () => {
+    const { status, body } = await app.request("/api/heatmap?columns=market_cap,total_volume,current_price&order=cluster");
+    assert.strictEqual(status, 200);
+    const matrix = body.correlation_matrix;
+    assert.strictEqual(matrix.length, 3);
+    matrix.forEach((row, i) => {
+      assert.strictEqual(row[i], 1);
+      row.forEach((value, j) => assert.strictEqual(value, matrix[j][i]));
+    });
+  });
+
+  test("/api/wordmap sizes words by market cap", async () => {
+    const { status, body } = await app.request("/api/wordmap?limit=5");
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.data.map(word => word.text), ["BTC", "ETH", "USDT", "SOL", "BNB"]);
+    assert.strictEqual(body.data[0].size, 100);
+  });
+
+  test("/api/treemap groups coins by category from the categories file", async () => {
+    const { status, body } = await app.request("/api/treemap?group_by=category&limit=5");
+    assert.strictEqual(status, 200);
+    const layer1 = body.data.children.find(group => group.id === "Layer 1");
+    assert.deepStrictEqual(layer1.children.map(node => node.id), ["bitcoin", "ethereum", "solana"]);
+  });
+});
+
+describe("market routes", () => {
+  test("/api/market/overview aggregates the whole market", async () => {
+    const { status, body } = await app.request("/api/market/overview");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.coin_count, 12);
+    assert.strictEqual(body.data.breadth.gainers + body.data.breadth.losers + body.data.breadth.unchanged, 12);
+  });
+
+  test("/api/movers ranks gainers and losers", async () => {
+    const up = await app.request("/api/movers?limit=2");
+    assert.deepStrictEqual(up.body.data.map(coin => coin.id), ["dogecoin", "binancecoin"]);
+
+    const down = await app.request("/api/movers?direction=down&limit=2&min_market_cap=1e12");
+    assert.strictEqual(down.body.eligible_count, 5);
+    assert.deepStrictEqual(down.body.data.map(coin => coin.id), ["ethereum", "bitcoin"]);
+  });
+});
+
+describe("/api/compare", () => {
+  test("aligns coins against the first coin and the dataset median", async () => {
+    const { status, body } = await app.request("/api/compare?ids=bitcoin,eth,SOL&metrics=market_cap,market_cap_rank,price_change_percentage_24h");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.base, "bitcoin");
+    assert.deepStrictEqual(body.data.map(coin => coin.id), ["bitcoin", "ethereum", "solana"]);
+
+    const [bitcoin, ethereum] = body.data;
+    assert.deepStrictEqual(bitcoin.metrics.market_cap.vs_base, { difference: 0, ratio: 1 });
+    assert.strictEqual(ethereum.metrics.market_cap_rank.vs_base.difference, 1);
+    assert.strictEqual(body.medians.market_cap_rank, 6.5);
+    assert.strictEqual(ethereum.metrics.market_cap_rank.vs_median.difference, -4.5);
+  });
+
+  test("picks a winner per metric in its better direction", async () => {
+    const { body } = await app.request("/api/compare?ids=bitcoin,eth,SOL&metrics=market_cap,market_cap_rank,price_change_percentage_24h");
+    assert.strictEqual(body.winners.market_cap.id, "bitcoin");
+    assert.strictEqual(body.winners.market_cap_rank.id, "bitcoin");
+    assert.strictEqual(body.winners.price_change_percentage_24h.id, "solana");
+  });
+
+  test("returns percentile scores for a radar chart", async () => {
+    const { body } = await app.request("/api/compare?ids=bitcoin,tron&metrics=market_cap,market_cap_rank");
+    assert.deepStrictEqual(body.radar.axes.map(axis => axis.metric), ["market_cap", "market_cap_rank"]);
+    assert.deepStrictEqual(body.radar.series.map(series => series.label), ["BTC", "TRX"]);
+    for (const series of body.radar.series) {
+      assert.strictEqual(series.scores.length, 2);
+      assert.ok(series.scores.every(score => score >= 0 && score <= 100));
+    }
+    // Rank thấp hơn là tốt hơn nên điểm của bitcoin phải cao hơn
+    assert.ok(body.radar.series[0].scores[1] > body.radar.series[1].scores[1]);
+  });
+
+  test("validates ids and metrics", async () => {
+    for (const query of ["", "ids=bitcoin", "ids=bitcoin,btc", "ids=bitcoin,eth&metrics=name"]) {
+      const { status, body } = await app.request(`/api/compare?${query}`);
+      assert.strictEqual(status, 400, query);
+      assert.strictEqual(body.error.code, "invalid_query");
+    }
+
+    const { status, body } = await app.request("/api/compare?ids=bitcoin,bitcon");
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.error.details.missing[0].id, "bitcon");
+    assert.ok(body.error.details.missing[0].suggestions.some(coin => coin.id === "bitcoin"));
+  });
+});
+
+describe("/api/clusters and /api/coins/:id/similar", () => {
+  test("assigns every complete coin to a cluster", async () => {
+    const { status, body } = await app.request("/api/clusters?k=3");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data_points + body.excluded, 12);
+    assert.strictEqual(body.data.length, body.data_points);
+    // Dataset nhỏ hơn KMEANS_SAMPLE_SIZE: fit trên mọi coin
+    assert.strictEqual(body.fit_sample_size, body.data_points);
+    assert.deepStrictEqual(body.clusters.map(cluster => cluster.cluster), [0, 1, 2]);
+
+    // Cụm đánh số theo kích thước giảm dần, khớp với số coin được gán
+    const sizes = body.clusters.map(cluster => cluster.size);
+    assert.deepStrictEqual(sizes, [...sizes].sort((a, b) => b - a));
+    for (const cluster of body.clusters) {
+      assert.strictEqual(body.data.filter(coin => coin.cluster === cluster.cluster).length, cluster.size);
+      assert.deepStrictEqual(Object.keys(cluster.centroid), body.columns);
+    }
+    assert.ok(body.silhouette.score >= -1 && body.silhouette.score <= 1);
+    assert.ok(body.log_transformed.includes("market_cap"));
+  });
+
+  test("the same seed gives the same clusters", async () => {
+    const first = await app.request("/api/clusters?k=2&columns=market_cap,total_volume,price_change_percentage_24h&seed=7");
+    await app.request("/api/admin/reload", { method: "POST" });
+    const second = await app.request("/api/clusters?seed=7&k=2&columns=market_cap,total_volume,price_change_percentage_24h");
+    assert.deepStrictEqual(second.body.data, first.body.data);
+    assert.strictEqual(first.body.excluded, 0);
+  });
+
+  test("validates k and columns", async () => {
+    const unknown = await app.request("/api/clusters?columns=market_cap,name");
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual(unknown.body.error.details[0].code, "unknown_column");
+
+    const tooMany = await app.request("/api/clusters?k=20");
+    assert.strictEqual(tooMany.status, 422);
+    assert.strictEqual(tooMany.body.error.code, "insufficient_data");
+  });
+
+  test("lists the nearest coins in the same feature space", async () => {
+    const { status, body } = await app.request("/api/coins/BTC/similar?limit=3");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.coin.id, "bitcoin");
+    assert.strictEqual(body.count, 3);
+    assert.strictEqual(body.data[0].id, "ethereum");
+    assert.ok(!body.data.some(coin => coin.id === "bitcoin"));
+    const distances = body.data.map(coin => coin.distance);
+    assert.deepStrictEqual(distances, [...distances].sort((a, b) => a - b));
+  });
+
+  test("reports unknown coins and coins without the feature values", async () => {
+    const unknown = await app.request("/api/coins/bitcon/similar");
+    assert.strictEqual(unknown.status, 404);
+    assert.ok(unknown.body.error.details.suggestions.some(coin => coin.id === "bitcoin"));
+
+    // ethereum không có max_supply
+    const incomplete = await app.request("/api/coins/ethereum/similar?columns=market_cap,max_supply");
+    assert.strictEqual(incomplete.status, 422);
+    assert.deepStrictEqual(incomplete.body.error.details.missing_columns, ["max_supply"]);
+  });
+});
+
+describe("dataset routes", () => {
+  test("/api/schema and /api/quality describe the dataset", async () => {
+    const schema = await app.request("/api/schema");
+    assert.strictEqual(schema.body.total_records, 12);
+    assert.ok(schema.body.chartable_columns.includes("market_cap"));
+    assert.ok(!schema.body.chartable_columns.includes("name"));
+
+    const quality = await app.request("/api/quality");
+    assert.strictEqual(quality.body.total_issues, 0);
+  });
+
+  test("/api/status reports the loaded dataset", async () => {
+    const { status, body } = await app.request("/api/status");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.dataset.row_count, 12);
+    assert.strictEqual(body.dataset.last_error, null);
+    assert.ok(body.dataset.version);
+  });
+
+  test("POST /api/admin/reload keeps the dataset version when nothing changed", async () => {
+    const { body: before } = await app.request("/api/status");
+    const { status } = await app.request("/api/admin/reload", { method: "POST" });
+    assert.strictEqual(status, 200);
+    const { body: after } = await app.request("/api/status");
+    assert.strictEqual(after.dataset.version, before.dataset.version);
+  });
+
+  test("/api/openapi.json and /api/docs are served", async () => {
+    const spec = await app.request("/api/openapi.json");
+    assert.strictEqual(spec.body.openapi, "3.0.3");
+    const docs = await app.request("/api/docs");
+    assert.strictEqual(docs.status, 200);
+    assert.match(docs.headers.get("content-type"), /text\/html/);
+  });
+});
+
+describe("caching and errors", () => {
+  test("conditional GET returns 304 and repeated requests hit the cache", async () => {
+    const first = await app.request("/api/wordmap?limit=6");
+    assert.strictEqual(first.headers.get("x-cache"), "MISS");
+    const etag = first.headers.get("etag");
+    assert.ok(etag);
+
+    const second = await app.request("/api/wordmap?limit=6");
+    assert.strictEqual(second.headers.get("x-cache"), "HIT");
+
+    // fetch tự thêm "Cache-Control: no-cache" cho request có điều kiện nên phải đặt header này rõ ràng
+    const conditional = await app.request("/api/wordmap?limit=6", { headers: { "If-None-Match": etag, "Cache-Control": "max-age=0" } });
+    assert.strictEqual(conditional.status, 304);
+  });
+
+  test("unknown routes return the JSON error body", async () => {
+    const { status, body } = await app.request("/api/nope");
+    assert.strictEqual(status, 404);
+    assert.deepStrictEqual(Object.keys(body), ["success", "error"]);
+    assert.strictEqual(body.error.code, "not_found");
+  });
+});
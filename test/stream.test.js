@@ -0,0 +1,117 @@
+// Test /api/stream (SSE): event khi dataset đổi, diff theo ngưỡng, heartbeat, resume bằng Last-Event-ID
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startApp, FIXTURES } = require("./helpers");
+
+let app;
+let tmpDir;
+let csvPath;
+const original = fs.readFileSync(path.join(FIXTURES, "coins.csv"), "utf8");
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "khdl-stream-"));
+  csvPath = path.join(tmpDir, "coins.csv");
+  fs.writeFileSync(csvPath, original);
+  app = await startApp("coins.csv", {
+    DATA_SOURCES: JSON.stringify({ sources: [{ type: "csv", path: csvPath }] }),
+    STREAM_HEARTBEAT_MS: "100",
+    STREAM_PRICE_THRESHOLD_PCT: "5"
+  });
+  await app.request("/api/status");
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Helper: Ghi lại file CSV (bitcoin +10%, ethereum +1%, xóa tron) rồi reload
+async function changeDataset() {
+  const updated = original
+    .replace("https://example.com/bitcoin.png,60000,", "https://example.com/bitcoin.png,66000,")
+    .replace("https://example.com/ethereum.png,3218.36,", "https://example.com/ethereum.png,3250.54,")
+    .split("\n").filter(line => !line.startsWith("tron,")).join("\n");
+  fs.writeFileSync(csvPath, updated);
+  const { status } = await app.request("/api/admin/reload", { method: "POST" });
+  assert.strictEqual(status, 200);
+}
+
+// Helper: Đọc event kế tiếp, bỏ qua heartbeat
+async function nextEvent(stream) {
+  for (;;) {
+    const message = await stream.next();
+    if (message.event !== "heartbeat") return message;
+  }
+}
+
+test("sends ready, heartbeat and a dataset diff when the data changes", async () => {
+  const stream = await app.stream("/api/stream");
+  try {
+    assert.strictEqual(stream.status, 200);
+    assert.match(stream.headers.get("content-type"), /text\/event-stream/);
+
+    const ready = await stream.next();
+    assert.strictEqual(ready.event, "ready");
+    assert.strictEqual(ready.id, "0");
+    assert.strictEqual(ready.data.row_count, 12);
+
+    const heartbeat = await stream.next();
+    assert.strictEqual(heartbeat.event, "heartbeat");
+    assert.strictEqual(heartbeat.id, undefined);
+
+    await changeDataset();
+    const update = await nextEvent(stream);
+    assert.strictEqual(update.event, "dataset");
+    assert.strictEqual(update.id, "1");
+    assert.strictEqual(update.data.previous_version, ready.data.version);
+    assert.notStrictEqual(update.data.version, ready.data.version);
+    assert.deepStrictEqual(update.data.removed, ["tron"]);
+    assert.deepStrictEqual(update.data.added, []);
+
+    // ethereum chỉ +1% nên dưới ngưỡng 5%
+    assert.deepStrictEqual(update.data.changed.map(change => change.id), ["bitcoin"]);
+    assert.deepStrictEqual(update.data.changed[0].price, { from: 60000, to: 66000, change_percentage: 10 });
+  } finally {
+    stream.close();
+  }
+});
+
+test("reloading identical data does not emit an event", async () => {
+  const { body } = await app.request("/api/status");
+  const { status } = await app.request("/api/admin/reload", { method: "POST" });
+  assert.strictEqual(status, 200);
+  const { body: after } = await app.request("/api/status");
+  assert.strictEqual(after.dataset.stream.last_event_id, body.dataset.stream.last_event_id);
+});
+
+test("Last-Event-ID replays missed events", async () => {
+  const stream = await app.stream("/api/stream", { headers: { "Last-Event-ID": "0" } });
+  try {
+    const replayed = await nextEvent(stream);
+    assert.strictEqual(replayed.event, "dataset");
+    assert.strictEqual(replayed.id, "1");
+  } finally {
+    stream.close();
+  }
+
+  const upToDate = await app.stream("/api/stream?last_event_id=1");
+  try {
+    assert.strictEqual((await upToDate.next()).event, "heartbeat");
+  } finally {
+    upToDate.close();
+  }
+});
+
+test("an unknown Last-Event-ID gets a reset event", async () => {
+  const stream = await app.stream("/api/stream", { headers: { "Last-Event-ID": "999" } });
+  try {
+    const reset = await stream.next();
+    assert.strictEqual(reset.event, "reset");
+    assert.strictEqual(reset.data.last_event_id, 1);
+  } finally {
+    stream.close();
+  }
+});
@@ -0,0 +1,167 @@
+// Test watchlist và portfolio: CRUD, lưu file, định giá theo dataset, coin biến mất khỏi dataset
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startApp, FIXTURES } = require("./helpers");
+
+let app;
+const original = fs.readFileSync(path.join(FIXTURES, "coins.csv"), "utf8");
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `expected ${actual} to be close to ${expected}`);
+}
+
+function send(method, route, body) {
+  return app.request(route, {
+    method: method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+}
+
+before(async () => {
+  app = await startApp("coins.csv");
+  await app.reloadWith(original);
+});
+
+after(() => app.close());
+
+describe("/api/watchlists", () => {
+  let id;
+
+  test("creates a watchlist from ids and symbols", async () => {
+    const { status, body } = await send("POST", "/api/watchlists", { name: "Layer 1", coins: ["bitcoin", "ETH", "sol", "btc"] });
+    assert.strictEqual(status, 201);
+    id = body.data.id;
+    assert.deepStrictEqual(body.data.coins.map(coin => coin.id), ["bitcoin", "ethereum", "solana"]);
+    assert.strictEqual(body.data.coins[0].current_price, 60000);
+    assert.strictEqual(body.data.missing_count, 0);
+  });
+
+  test("rejects invalid bodies and duplicate names", async () => {
+    const unknown = await send("POST", "/api/watchlists", { name: "Bad", coins: ["bitcon"] });
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual(unknown.body.error.details[0].field, "coins[0]");
+    assert.ok(unknown.body.error.details[0].suggestions.some(coin => coin.id === "bitcoin"));
+
+    const missingName = await send("POST", "/api/watchlists", { coins: [] });
+    assert.deepStrictEqual(missingName.body.error.details.map(error => error.code), ["missing_field"]);
+
+    const duplicate = await send("POST", "/api/watchlists", { name: "layer 1" });
+    assert.strictEqual(duplicate.status, 409);
+    assert.strictEqual(duplicate.body.error.code, "conflict");
+  });
+
+  test("updates, lists and persists watchlists", async () => {
+    const { status, body } = await send("PATCH", `/api/watchlists/${id}`, { coins: ["bitcoin", "dogecoin"] });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.name, "Layer 1");
+    assert.deepStrictEqual(body.data.coins.map(coin => coin.id), ["bitcoin", "dogecoin"]);
+
+    const list = await app.request("/api/watchlists");
+    assert.deepStrictEqual(list.body.data.map(watchlist => [watchlist.name, watchlist.coin_count]), [["Layer 1", 2]]);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(app.stateDir, "watchlists.json"), "utf8"));
+    assert.deepStrictEqual(saved.watchlists[0].coins, ["bitcoin", "dogecoin"]);
+  });
+
+  test("keeps coins that disappear from the dataset", async () => {
+    await app.reloadWith(original.split("\n").filter(line => !line.startsWith("dogecoin,")).join("\n"));
+    const { body } = await app.request(`/api/watchlists/${id}`);
+    assert.strictEqual(body.data.missing_count, 1);
+    assert.deepStrictEqual(body.data.coins[1], { id: "dogecoin", missing: true });
+
+    // Coin đã có trong watchlist vẫn giữ được khi PATCH dù không còn trong dataset
+    const patched = await send("PATCH", `/api/watchlists/${id}`, { coins: ["dogecoin", "tron"] });
+    assert.strictEqual(patched.status, 200);
+    assert.deepStrictEqual(patched.body.data.coins.map(coin => coin.id), ["dogecoin", "tron"]);
+
+    await app.reloadWith(original);
+  });
+
+  test("deletes a watchlist", async () => {
+    assert.strictEqual((await app.request(`/api/watchlists/${id}`, { method: "DELETE" })).status, 200);
+    assert.strictEqual((await app.request(`/api/watchlists/${id}`)).status, 404);
+  });
+});
+
+describe("/api/portfolios", () => {
+  let id;
+
+  test("values holdings against the loaded prices", async () => {
+    const { status, body } = await send("POST", "/api/portfolios", {
+      name: "Main",
+      holdings: [
+        { coin: "bitcoin", quantity: 0.5, cost_basis: 25000 },
+        { coin: "eth", quantity: 10, cost_basis: 40000 },
+        { coin: "doge", quantity: 1000 }
+      ]
+    });
+    assert.strictEqual(status, 201);
+    id = body.data.id;
+
+    const [bitcoin, ethereum, dogecoin] = body.data.holdings;
+    assert.strictEqual(bitcoin.value, 30000);
+    assert.strictEqual(bitcoin.unrealized_pnl, 5000);
+    assert.strictEqual(bitcoin.unrealized_pnl_percentage, 20);
+    assertClose(bitcoin.pnl_24h, -1675.8);
+    assert.strictEqual(ethereum.coin, "ethereum");
+    assertClose(ethereum.unrealized_pnl, 32183.6 - 40000);
+    assert.strictEqual(dogecoin.cost_basis, null);
+    assert.strictEqual(dogecoin.unrealized_pnl, null);
+
+    const { summary } = body.data;
+    assertClose(summary.total_value, 30000 + 32183.6 + 2179.63);
+    // P&L chỉ tính trên các holding có cost basis
+    assert.strictEqual(summary.cost_basis, 65000);
+    assertClose(summary.unrealized_pnl, 30000 + 32183.6 - 65000);
+    assert.strictEqual(body.data.holdings.reduce((total, holding) => total + holding.weight, 0).toFixed(2), "100.00");
+    assert.strictEqual(summary.concentration.largest.coin, "ethereum");
+    assert.strictEqual(summary.unvalued.count, 0);
+  });
+
+  test("rejects invalid holdings", async () => {
+    const { status, body } = await send("POST", "/api/portfolios", {
+      name: "Bad",
+      holdings: [{ coin: "bitcoin", quantity: 0 }, { coin: "btc", quantity: 1, cost_basis: -1, fee: 2 }]
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.error.details.map(error => [error.field, error.code]), [
+      ["holdings[0].quantity", "invalid_value"],
+      ["holdings[1].fee", "unknown_field"],
+      ["holdings[1].coin", "duplicate"],
+      ["holdings[1].cost_basis", "invalid_value"]
+    ]);
+  });
+
+  test("reports holdings whose coin left the dataset separately", async () => {
+    await app.reloadWith(original.split("\n").filter(line => !line.startsWith("ethereum,")).join("\n"));
+    const { body } = await app.request(`/api/portfolios/${id}`);
+    const ethereum = body.data.holdings[1];
+    assert.strictEqual(ethereum.status, "missing");
+    assert.strictEqual(ethereum.value, null);
+    assert.strictEqual(ethereum.weight, null);
+
+    const { summary } = body.data;
+    assert.strictEqual(summary.valued_count, 2);
+    assertClose(summary.total_value, 30000 + 2179.63);
+    assert.strictEqual(summary.cost_basis, 25000);
+    assert.deepStrictEqual(summary.unvalued, { count: 1, coins: [{ coin: "ethereum", status: "missing" }], cost_basis: 40000 });
+    await app.reloadWith(original);
+  });
+
+  test("updates, lists and deletes portfolios", async () => {
+    const { body } = await send("PATCH", `/api/portfolios/${id}`, { name: "Core", holdings: [{ coin: "bitcoin", quantity: 1 }] });
+    assert.strictEqual(body.data.name, "Core");
+    assert.strictEqual(body.data.summary.total_value, 60000);
+    assert.strictEqual(body.data.summary.concentration.hhi, 10000);
+
+    const list = await app.request("/api/portfolios");
+    assert.deepStrictEqual(list.body.data.map(portfolio => [portfolio.name, portfolio.summary.total_value]), [["Core", 60000]]);
+    assert.strictEqual(list.body.data[0].holdings, undefined);
+
+    assert.strictEqual((await app.request(`/api/portfolios/${id}`, { method: "DELETE" })).status, 200);
+    assert.strictEqual((await app.request("/api/portfolios")).body.count, 0);
+  });
+});